@@ -0,0 +1,40 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Polls keep `voterCount` and `lastActivityAt` so listings can sort by votes
+// and activity without counting. `db push` adds the columns with their
+// defaults (0 and the time of the push), so polls that existed before then
+// need them computed from their votes once. Safe to run again: it sets
+// every poll from its current votes.
+async function main() {
+  console.log('🔢 Recomputing poll listing counters from votes...');
+
+  const updated = await prisma.$executeRaw`
+    UPDATE "polls" AS p
+    SET "voterCount" = counts."voters",
+        "lastActivityAt" = counts."lastActivityAt"
+    FROM (
+      SELECT polls."id",
+             COUNT(DISTINCT COALESCE(votes."userId", votes."guestSessionId"))::int AS "voters",
+             GREATEST(polls."createdAt", MAX(votes."createdAt")) AS "lastActivityAt"
+      FROM "polls" AS polls
+      LEFT JOIN "poll_options" AS options ON options."pollId" = polls."id"
+      LEFT JOIN "votes" AS votes ON votes."pollOptionId" = options."id"
+      GROUP BY polls."id"
+    ) AS counts
+    WHERE p."id" = counts."id"
+  `;
+
+  console.log(`✅ Updated ${updated} polls`);
+}
+
+main()
+  .then(async () => {
+    await prisma.$disconnect();
+  })
+  .catch(async (e) => {
+    console.error(e);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
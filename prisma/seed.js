@@ -16,6 +16,8 @@ async function main() {
       name: 'Alice Johnson',
       email: 'alice@example.com',
       passwordHash: password,
+      emailVerifiedAt: new Date(),
+      role: 'admin',
     },
   });
 
@@ -26,6 +28,7 @@ async function main() {
       name: 'Bob Smith',
       email: 'bob@example.com',
       passwordHash: password,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -36,6 +39,7 @@ async function main() {
       name: 'Carol Wilson',
       email: 'carol@example.com',
       passwordHash: password,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -47,14 +51,14 @@ async function main() {
       userId: user1.id,
       options: {
         create: [
-          { text: 'JavaScript' },
-          { text: 'Python' },
-          { text: 'Java' },
-          { text: 'C++' },
+          { text: 'JavaScript', position: 0 },
+          { text: 'Python', position: 1 },
+          { text: 'Java', position: 2 },
+          { text: 'C++', position: 3 },
         ],
       },
     },
-    include: { options: true },
+    include: { options: { orderBy: { position: 'asc' } } },
   });
 
   const poll2 = await prisma.poll.create({
@@ -64,14 +68,14 @@ async function main() {
       userId: user2.id,
       options: {
         create: [
-          { text: 'React' },
-          { text: 'Vue.js' },
-          { text: 'Angular' },
-          { text: 'Svelte' },
+          { text: 'React', position: 0 },
+          { text: 'Vue.js', position: 1 },
+          { text: 'Angular', position: 2 },
+          { text: 'Svelte', position: 3 },
         ],
       },
     },
-    include: { options: true },
+    include: { options: { orderBy: { position: 'asc' } } },
   });
 
   const poll3 = await prisma.poll.create({
@@ -81,13 +85,13 @@ async function main() {
       userId: user3.id,
       options: {
         create: [
-          { text: 'Morning (9-11 AM)' },
-          { text: 'Afternoon (2-4 PM)' },
-          { text: 'Evening (5-7 PM)' },
+          { text: 'Morning (9-11 AM)', position: 0 },
+          { text: 'Afternoon (2-4 PM)', position: 1 },
+          { text: 'Evening (5-7 PM)', position: 2 },
         ],
       },
     },
-    include: { options: true },
+    include: { options: { orderBy: { position: 'asc' } } },
   });
 
   // Create some demo votes
@@ -100,6 +104,12 @@ async function main() {
     ],
   });
 
+  // Listings sort on these counters, which the API normally maintains
+  await prisma.poll.updateMany({
+    where: { id: { in: [poll1.id, poll2.id] } },
+    data: { voterCount: 2, lastActivityAt: new Date() },
+  });
+
   console.log('✅ Database seeded successfully!');
   console.log('\n📊 Created data:');
   console.log('Users:', await prisma.user.count());
@@ -108,7 +118,7 @@ async function main() {
   console.log('Votes:', await prisma.vote.count());
   
   console.log('\n👤 Demo users (password: password123):');
-  console.log('- alice@example.com');
+  console.log('- alice@example.com (admin)');
   console.log('- bob@example.com');
   console.log('- carol@example.com');
 }
@@ -1,24 +1,60 @@
+// Load environment variables first: modules read their settings on import
+import 'dotenv/config';
 import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import helmet from 'helmet';
-import dotenv from 'dotenv';
 
 // Import routes
 import userRoutes from './src/routes/userRoutes.js';
 import pollRoutes from './src/routes/pollRoutes.js';
 import voteRoutes from './src/routes/voteRoutes.js';
+import adminRoutes from './src/routes/adminRoutes.js';
+import webhookRoutes from './src/routes/webhookRoutes.js';
+import templateRoutes from './src/routes/templateRoutes.js';
+import groupRoutes from './src/routes/groupRoutes.js';
+import quizRoutes from './src/routes/quizRoutes.js';
+import liveSessionRoutes from './src/routes/liveSessionRoutes.js';
 
 // Import WebSocket handlers
-import { authenticateSocket, handleConnection } from './src/websocket/socketHandlers.js';
+import {
+  authenticateSocket,
+  limitSocketConnections,
+  handleConnection
+} from './src/websocket/socketHandlers.js';
+import { initPollUpdates, stopPollUpdates } from './src/websocket/pollUpdates.js';
+import { configureSocketAdapter } from './src/config/socketAdapter.js';
+
+// Import rate limiting
+import { rateLimit } from './src/middleware/rateLimit.js';
+import { configureRateLimitStore } from './src/config/rateLimit.js';
+import { setRateLimitStore } from './src/services/rateLimiter.js';
+
+// Import poll scheduler
+import { initPollScheduler, stopPollScheduler } from './src/services/pollScheduler.js';
+
+// Import live session presenter timers
+import { initLiveSessions, stopLiveSessions } from './src/services/liveSessions.js';
+
+// Import webhook delivery
+import { initWebhookDelivery, stopWebhookDelivery } from './src/services/webhookDelivery.js';
+
+// Import mail delivery
+import { configureMailTransport } from './src/config/mail.js';
+import { setMailTransport } from './src/services/mailer.js';
+
+// Import logging and metrics
+import logger from './src/config/logger.js';
+import { register as metricsRegister, instrumentSocketServer } from './src/config/metrics.js';
+import { requestContext } from './src/middleware/requestContext.js';
+
+// Import validation error envelope
+import { validationErrorBody } from './src/validation/common.js';
 
 // Import database connection
 import prisma from './src/config/database.js';
 
-// Load environment variables
-dotenv.config();
-
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
@@ -30,6 +66,8 @@ const io = new Server(server, {
 });
 
 // Middleware
+// Correlation ids, request logs and latency metrics come first to time everything after them
+app.use(requestContext);
 app.use(helmet({
   crossOriginEmbedderPolicy: false
 }));
@@ -37,6 +75,9 @@ app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:3000",
   credentials: true
 }));
+// Client IPs for rate limiting come from X-Forwarded-For when behind TRUST_PROXY proxies
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -52,10 +93,34 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics. Set METRICS_TOKEN to require it as a bearer token.
+app.get('/metrics', async (req, res) => {
+  try {
+    const token = process.env.METRICS_TOKEN;
+
+    if (token && req.get('authorization') !== `Bearer ${token}`) {
+      return res.status(401).json({ error: 'Metrics token required' });
+    }
+
+    res.set('Content-Type', metricsRegister.contentType);
+    res.send(await metricsRegister.metrics());
+  } catch (error) {
+    logger.error('Metrics error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // API Routes
+app.use('/api', rateLimit('api'));
 app.use('/api/users', userRoutes);
 app.use('/api/polls', pollRoutes);
 app.use('/api/votes', voteRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/quiz-sessions', quizRoutes);
+app.use('/api/live-sessions', liveSessionRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -66,7 +131,14 @@ app.get('/', (req, res) => {
       users: '/api/users',
       polls: '/api/polls',
       votes: '/api/votes',
-      health: '/health'
+      admin: '/api/admin',
+      webhooks: '/api/webhooks',
+      templates: '/api/templates',
+      groups: '/api/groups',
+      quizSessions: '/api/quiz-sessions',
+      liveSessions: '/api/live-sessions',
+      health: '/health',
+      metrics: '/metrics'
     },
     websocket: 'Socket.IO enabled for real-time updates'
   });
@@ -82,14 +154,37 @@ app.use('*', (req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
-  console.error('Global error handler:', error);
+  // Malformed JSON bodies are reported like any other validation failure
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(validationErrorBody([
+      { location: 'body', field: '', message: 'Malformed JSON', code: 'invalid_json' }
+    ]));
+  }
+
+  logger.error('Unhandled request error', error);
   res.status(500).json({
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
   });
 });
 
+// Rate limit counters: in memory, or shared through Redis
+const rateLimitStore = await configureRateLimitStore();
+setRateLimitStore(rateLimitStore);
+
+// Verification and password reset emails: a mail service, the console or .eml files
+const mailTransport = configureMailTransport();
+setMailTransport(mailTransport);
+
+// Share rooms across server instances and coalesce poll broadcasts
+const socketAdapter = await configureSocketAdapter(io);
+initPollUpdates(io, socketAdapter);
+
+// Socket gauges and broadcast fan-out for /metrics
+instrumentSocketServer(io);
+
 // WebSocket connection handling
+io.use(limitSocketConnections);
 io.use(authenticateSocket);
 io.on('connection', handleConnection);
 
@@ -97,19 +192,28 @@ const PORT = process.env.PORT || 3000;
 
 // Graceful shutdown
 const gracefulShutdown = async () => {
-  console.log('\nShutting down gracefully...');
+  logger.info('Shutting down gracefully');
   
-  // Close Socket.IO server
+  // Stop pending poll closing timers, presenter timers, broadcasts and webhook retries
+  stopPollScheduler();
+  stopLiveSessions();
+  stopPollUpdates();
+  stopWebhookDelivery();
+
+  // Close Socket.IO server and its adapter connections
   io.close();
+  await socketAdapter.close();
+  await rateLimitStore.close();
+  await mailTransport.close();
   
   // Close HTTP server
   server.close(() => {
-    console.log('HTTP server closed');
+    logger.info('HTTP server closed');
   });
   
   // Disconnect from database
   await prisma.$disconnect();
-  console.log('Database connection closed');
+  logger.info('Database connection closed');
   
   process.exit(0);
 };
@@ -119,29 +223,26 @@ process.on('SIGINT', gracefulShutdown);
 
 // Start server
 server.listen(PORT, () => {
-  console.log(`
-🚀 Real-Time Polling API Server running on port ${PORT}
-📡 Environment: ${process.env.NODE_ENV || 'development'}
-🔗 WebSocket: Enabled with Socket.IO
-🗄️  Database: PostgreSQL with Prisma ORM
-📋 API Endpoints:
-   - GET    /                     - Welcome message
-   - GET    /health               - Health check
-   - POST   /api/users/register   - User registration
-   - POST   /api/users/login      - User login
-   - GET    /api/users/profile    - User profile
-   - GET    /api/polls            - Get published polls
-   - POST   /api/polls            - Create poll
-   - GET    /api/polls/:id        - Get poll by ID
-   - POST   /api/votes            - Submit vote
-   - GET    /api/votes/results/:pollId - Get poll results
-
-💡 Make sure to:
-   1. Set up PostgreSQL database
-   2. Configure DATABASE_URL in .env
-   3. Run: npm run db:push
-   4. Run: npm run db:seed (optional)
-  `);
+  logger.info('Real-Time Polling API server running', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    socketAdapter: socketAdapter.name,
+    mailTransport: mailTransport.name,
+    rateLimitStore: rateLimitStore.name
+  });
+
+  // Re-arm closing timers for polls that are still open
+  initPollScheduler(io)
+    .then(pending => logger.info('Poll scheduler armed', { pending }))
+    .catch(error => logger.error('Poll scheduler initialization error', error));
+
+  // Give running live sessions time for their presenter to reconnect
+  initLiveSessions(io)
+    .then(running => logger.info('Waiting for live session presenters', { running }))
+    .catch(error => logger.error('Live session initialization error', error));
+
+  // Retry webhook deliveries left pending
+  initWebhookDelivery();
 });
 
 export default app;
\ No newline at end of file
@@ -1,7 +1,24 @@
 import { PrismaClient } from '@prisma/client';
+import { prismaQueryDuration } from './metrics.js';
 
-const prisma = new PrismaClient({
+const client = new PrismaClient({
   log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
 });
 
-export default prisma;
\ No newline at end of file
+// Time every model query, including those inside transactions
+const prisma = client.$extends({
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        const endTimer = prismaQueryDuration.startTimer({ model, operation });
+        try {
+          return await query(args);
+        } finally {
+          endTimer();
+        }
+      }
+    }
+  }
+});
+
+export default prisma;
@@ -0,0 +1,75 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging: one JSON object per line, errors and warnings on
+// stderr. Entries carry the fields of the current context, e.g. the
+// requestId of the HTTP request or socket event being handled, which
+// follows every await, timer and callback started while handling it.
+// LOG_LEVEL (debug, info, warn, error; default info) drops quieter entries;
+// LOG_FORMAT=pretty prints readable lines for development instead.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const pretty = process.env.LOG_FORMAT === 'pretty';
+
+const context = new AsyncLocalStorage();
+
+// Run `fn` with `fields` added to every entry logged while it runs
+export const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// The fields of the current context
+export const logContext = () => context.getStore() || {};
+
+const _serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  stack: error.stack
+});
+
+const _serialize = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([key, value]) => [key, value instanceof Error ? _serializeError(value) : value])
+);
+
+const _format = (entry) => {
+  if (!pretty) {
+    return JSON.stringify(entry);
+  }
+
+  const { time, level, msg, error, ...fields } = entry;
+  const details = Object.entries(fields).map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+  return [`${time} ${level.toUpperCase()} ${msg}`, ...details].join(' ') + (error ? `\n${error.stack}` : '');
+};
+
+// `fields` is an object, or an Error logged as { error }
+const _log = (level, msg, fields = {}) => {
+  if (LEVELS[level] < threshold) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...logContext(),
+    ..._serialize(fields instanceof Error ? { error: fields } : fields)
+  };
+
+  let line;
+  try {
+    line = _format(entry);
+  } catch (error) {
+    // Circular or BigInt fields: keep the message rather than lose the entry
+    line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+  }
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const logger = {
+  debug: (msg, fields) => _log('debug', msg, fields),
+  info: (msg, fields) => _log('info', msg, fields),
+  warn: (msg, fields) => _log('warn', msg, fields),
+  error: (msg, fields) => _log('error', msg, fields)
+};
+
+export default logger;
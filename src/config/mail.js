@@ -0,0 +1,43 @@
+import { createConsoleTransport, createFileTransport, createHttpTransport } from '../services/mailTransports.js';
+
+// Sender of every email
+export const MAIL_FROM = process.env.MAIL_FROM || 'Real-Time Polling <no-reply@localhost>';
+
+// Links in emails point at the client app
+export const MAIL_LINK_BASE_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Choose how mail is delivered, from MAIL_TRANSPORT:
+// - http: POSTed to MAIL_HTTP_URL, with MAIL_HTTP_TOKEN as bearer token
+// - console (default outside production): printed to the server log
+// - file: written as .eml files to MAIL_DIR (default: ./mail)
+// Console and file mail would put reset and verification links in logs or
+// on disk, so production refuses them and must set MAIL_TRANSPORT=http.
+export const configureMailTransport = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (isProduction ? null : 'console');
+
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production (expected http)');
+  }
+
+  if (isProduction && name !== 'http') {
+    throw new Error(`MAIL_TRANSPORT "${name}" is for development only; use http in production`);
+  }
+
+  switch (name) {
+    case 'http':
+      if (!process.env.MAIL_HTTP_URL) {
+        throw new Error('MAIL_HTTP_URL is required when MAIL_TRANSPORT=http');
+      }
+      return createHttpTransport(process.env.MAIL_HTTP_URL, process.env.MAIL_HTTP_TOKEN);
+
+    case 'console':
+      return createConsoleTransport();
+
+    case 'file':
+      return createFileTransport(process.env.MAIL_DIR || 'mail');
+
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected http, console or file)`);
+  }
+};
@@ -0,0 +1,108 @@
+import client from 'prom-client';
+
+// Prometheus metrics, served at GET /metrics. Every instance reports its
+// own; Prometheus scrapes and sums them. Votes per second is
+// rate(votes_total[1m]).
+
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+export const votesTotal = new client.Counter({
+  name: 'votes_total',
+  help: 'Ballots cast, changed and retracted',
+  labelNames: ['action'],
+  registers: [register]
+});
+
+export const broadcastFanout = new client.Histogram({
+  name: 'socket_broadcast_fanout',
+  help: 'Sockets on this instance reached by a broadcast it emitted, by event',
+  labelNames: ['event'],
+  buckets: [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+  registers: [register]
+});
+
+export const prismaQueryDuration = new client.Histogram({
+  name: 'prisma_query_duration_seconds',
+  help: 'Prisma query latency by model and operation',
+  labelNames: ['model', 'operation'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+// poll-1 -> poll, poll-1-results -> poll_results, live-1-presenter ->
+// live_presenter
+const _roomKind = (room) => {
+  const match = /^([a-z]+)-[^-]+(?:-([a-z]+))?/.exec(room);
+
+  if (!match) {
+    return 'other';
+  }
+
+  return match[2] ? `${match[1]}_${match[2]}` : match[1];
+};
+
+// Socket gauges are read from the server when scraped. Broadcast fan-out is
+// observed on the instance that emits, over its own sockets: with a
+// clustered adapter the sockets other instances reach are not counted.
+export const instrumentSocketServer = (io) => {
+  const namespace = io.of('/');
+
+  new client.Gauge({
+    name: 'socket_connections',
+    help: 'Sockets connected to this instance',
+    registers: [register],
+    collect() {
+      this.set(namespace.sockets.size);
+    }
+  });
+
+  new client.Gauge({
+    name: 'socket_rooms',
+    help: 'Rooms with sockets on this instance, by kind',
+    labelNames: ['kind'],
+    registers: [register],
+    collect() {
+      this.reset();
+
+      const counts = {};
+      for (const room of namespace.adapter.rooms.keys()) {
+        // Every socket is in a room named after its id
+        if (!namespace.sockets.has(room)) {
+          const kind = _roomKind(room);
+          counts[kind] = (counts[kind] || 0) + 1;
+        }
+      }
+
+      Object.entries(counts).forEach(([kind, count]) => this.set({ kind }, count));
+    }
+  });
+
+  const { adapter } = namespace;
+  const broadcast = adapter.broadcast.bind(adapter);
+
+  adapter.broadcast = (packet, opts) => {
+    const { rooms, except } = opts;
+    const reached = new Set();
+
+    if (rooms.size > 0) {
+      rooms.forEach(room => adapter.rooms.get(room)?.forEach(id => reached.add(id)));
+    } else {
+      namespace.sockets.forEach((socket, id) => reached.add(id));
+    }
+    except?.forEach(room => adapter.rooms.get(room)?.forEach(id => reached.delete(id)));
+
+    broadcastFanout.observe({ event: String(packet.data?.[0]) }, reached.size);
+
+    return broadcast(packet, opts);
+  };
+};
@@ -0,0 +1,78 @@
+import { createClient } from 'redis';
+import { createMemoryStore, createRedisStore } from '../services/rateLimitStores.js';
+import logger from './logger.js';
+
+// Read a limit from the environment as "<max>/<seconds>", e.g. RATE_LIMIT_LOGIN=10/60
+const _limit = (envName, max, windowSeconds) => {
+  const value = process.env[envName];
+
+  if (!value) {
+    return { max, windowMs: windowSeconds * 1000 };
+  }
+
+  const [envMax, envSeconds] = value.split('/').map(Number);
+  if (!(envMax > 0) || !(envSeconds > 0)) {
+    throw new Error(`Invalid ${envName} "${value}" (expected <max>/<seconds>)`);
+  }
+
+  return { max: envMax, windowMs: envSeconds * 1000 };
+};
+
+const _seconds = (envName, fallback) => (Number(process.env[envName]) || fallback) * 1000;
+
+// Named limits. Each counts hits per key (an IP, user or socket) in a window.
+export const RATE_LIMITS = {
+  api: _limit('RATE_LIMIT_API', 300, 60), // per IP, every /api request
+  register: _limit('RATE_LIMIT_REGISTER', 5, 60 * 60), // per IP
+  login: _limit('RATE_LIMIT_LOGIN', 10, 60), // per IP
+  refresh: _limit('RATE_LIMIT_REFRESH', 30, 60), // per IP
+  vote: _limit('RATE_LIMIT_VOTE', 30, 60), // per voter, REST and socket
+  createPoll: _limit('RATE_LIMIT_CREATE_POLL', 20, 60 * 60), // per user
+  comment: _limit('RATE_LIMIT_COMMENT', 10, 60), // per user
+  mail: _limit('RATE_LIMIT_MAIL', 5, 60 * 60), // per IP or user, requests that send an email
+  guestSession: _limit('RATE_LIMIT_GUEST_SESSION', 10, 60 * 60), // per IP
+  socketConnect: _limit('RATE_LIMIT_SOCKET_CONNECT', 30, 60), // per IP
+  socketEvent: _limit('RATE_LIMIT_SOCKET_EVENT', 60, 10), // per socket, any event
+  socketJoinPoll: _limit('RATE_LIMIT_SOCKET_JOIN', 20, 10), // per socket
+  socketTyping: _limit('RATE_LIMIT_SOCKET_TYPING', 20, 10) // per socket
+};
+
+// Socket events with a limit of their own; others use socketEvent
+export const SOCKET_EVENT_LIMITS = {
+  joinPoll: 'socketJoinPoll',
+  joinQuizSession: 'socketJoinPoll',
+  joinLiveSession: 'socketJoinPoll',
+  typing: 'socketTyping'
+};
+
+// Failed logins per account: after `threshold` failures the account is
+// locked for `baseMs`, doubling with each further failure up to `maxMs`.
+// Failures are forgotten after `failureWindowMs` or a successful login.
+export const LOGIN_LOCKOUT = {
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  baseMs: _seconds('LOGIN_LOCKOUT_BASE_SECONDS', 60),
+  maxMs: _seconds('LOGIN_LOCKOUT_MAX_SECONDS', 60 * 60),
+  failureWindowMs: 24 * 60 * 60 * 1000
+};
+
+// Choose where rate limit counters live, from RATE_LIMIT_STORE:
+// - memory (default): per process
+// - redis: shared by every instance connected to REDIS_URL
+export const configureRateLimitStore = async () => {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+
+    case 'redis': {
+      const client = createClient({ url: process.env.REDIS_URL });
+      client.on('error', error => logger.error('Redis rate limit store error', error));
+      await client.connect();
+      return createRedisStore(client);
+    }
+
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected memory or redis)`);
+  }
+};
@@ -0,0 +1,49 @@
+import { EventEmitter } from 'events';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { createClient } from 'redis';
+import { createInProcessAdapter } from '../websocket/inProcessAdapter.js';
+import logger from './logger.js';
+
+// Shared by every server in this process when SOCKET_ADAPTER=in-process
+const inProcessBus = new EventEmitter();
+
+// Choose how Socket.IO servers share rooms, from SOCKET_ADAPTER:
+// - memory (default): rooms live in this process only
+// - redis: every instance connected to REDIS_URL shares rooms and broadcasts
+// - in-process: a cluster adapter over an in-memory bus, the stand-in for
+//   running several servers inside one process
+// Resolves to { name, clustered, close }.
+export const configureSocketAdapter = async (io) => {
+  const name = process.env.SOCKET_ADAPTER || 'memory';
+
+  switch (name) {
+    case 'memory':
+      return { name, clustered: false, close: async () => {} };
+
+    case 'in-process':
+      io.adapter(createInProcessAdapter(inProcessBus));
+      return { name, clustered: true, close: async () => {} };
+
+    case 'redis': {
+      const pubClient = createClient({ url: process.env.REDIS_URL });
+      const subClient = pubClient.duplicate();
+
+      pubClient.on('error', error => logger.error('Redis publisher error', error));
+      subClient.on('error', error => logger.error('Redis subscriber error', error));
+
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      io.adapter(createAdapter(pubClient, subClient));
+
+      return {
+        name,
+        clustered: true,
+        close: async () => {
+          await Promise.all([pubClient.quit(), subClient.quit()]);
+        }
+      };
+    }
+
+    default:
+      throw new Error(`Unknown SOCKET_ADAPTER "${name}" (expected memory, redis or in-process)`);
+  }
+};
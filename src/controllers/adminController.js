@@ -0,0 +1,188 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { revokeAllSessions } from '../services/sessionService.js';
+import { can } from '../policies/userPolicy.js';
+import { auditActor, recordAudit } from '../services/auditLog.js';
+
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  suspendedAt: true,
+  createdAt: true
+};
+
+// Record an action taken on a user account
+const _auditUserChange = (req, action, before, after) => recordAudit({
+  action,
+  actor: auditActor(req),
+  targetType: 'user',
+  targetId: before.id,
+  before: { role: before.role, suspendedAt: before.suspendedAt },
+  after: { role: after.role, suspendedAt: after.suspendedAt }
+});
+
+// Suspend a user: blocks login and ends every session and socket
+export const suspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const target = await prisma.user.findUnique({
+      where: { id: userId },
+      select: userSelect
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!can(req.user, 'suspend', target)) {
+      return res.status(403).json({ error: 'Not authorized to suspend this user' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { suspendedAt: target.suspendedAt || new Date() },
+      select: userSelect
+    });
+
+    await revokeAllSessions(userId, req.app.get('io'));
+    await _auditUserChange(req, 'admin.user_suspend', target, user);
+
+    res.json({
+      message: 'User suspended successfully',
+      user
+    });
+  } catch (error) {
+    logger.error('Suspend user error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Lift a suspension
+export const unsuspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const target = await prisma.user.findUnique({
+      where: { id: userId },
+      select: userSelect
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!can(req.user, 'suspend', target)) {
+      return res.status(403).json({ error: 'Not authorized to unsuspend this user' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { suspendedAt: null },
+      select: userSelect
+    });
+
+    await _auditUserChange(req, 'admin.user_unsuspend', target, user);
+
+    res.json({
+      message: 'User unsuspended successfully',
+      user
+    });
+  } catch (error) {
+    logger.error('Unsuspend user error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Change a user's role (admins only)
+export const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const target = await prisma.user.findUnique({
+      where: { id: userId },
+      select: userSelect
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!can(req.user, 'changeRole', target)) {
+      return res.status(403).json({ error: 'Not authorized to change this user\'s role' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { role },
+      select: userSelect
+    });
+
+    await _auditUserChange(req, 'admin.user_role', target, user);
+
+    res.json({
+      message: 'User role updated successfully',
+      user
+    });
+  } catch (error) {
+    logger.error('Update user role error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Platform-wide counters for the admin dashboard
+export const getPlatformStats = async (req, res) => {
+  try {
+    const now = new Date();
+    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+
+    const [
+      usersByRole,
+      suspendedUsers,
+      totalPolls,
+      publishedPolls,
+      openPolls,
+      totalVotes,
+      votesLastDay,
+      activeSessions,
+      connectedSockets
+    ] = await Promise.all([
+      prisma.user.groupBy({ by: ['role'], _count: { _all: true } }),
+      prisma.user.count({ where: { suspendedAt: { not: null } } }),
+      prisma.poll.count(),
+      prisma.poll.count({ where: { isPublished: true } }),
+      prisma.poll.count({ where: { isPublished: true, isClosed: false } }),
+      prisma.vote.count(),
+      prisma.vote.count({ where: { createdAt: { gte: dayAgo } } }),
+      prisma.session.count({ where: { revokedAt: null, expiresAt: { gt: now } } }),
+      req.app.get('io').fetchSockets().then(sockets => sockets.length)
+    ]);
+
+    res.json({
+      stats: {
+        users: {
+          total: usersByRole.reduce((sum, group) => sum + group._count._all, 0),
+          byRole: Object.fromEntries(usersByRole.map(group => [group.role, group._count._all])),
+          suspended: suspendedUsers
+        },
+        polls: {
+          total: totalPolls,
+          published: publishedPolls,
+          open: openPolls
+        },
+        votes: {
+          total: totalVotes,
+          lastDay: votesLastDay
+        },
+        activeSessions,
+        connectedSockets
+      }
+    });
+  } catch (error) {
+    logger.error('Get platform stats error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
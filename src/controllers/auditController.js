@@ -0,0 +1,106 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/pollPolicy.js';
+import { paginate } from '../utils/pagination.js';
+
+const auditOrder = [{ createdAt: 'desc' }, { id: 'desc' }];
+
+const actorSelect = {
+  actor: {
+    select: { id: true, name: true }
+  }
+};
+
+// Poll owners see what happened to their poll, but not who voted how or
+// from which address
+const _toActivity = (entry) => {
+  const isVote = entry.action.startsWith('vote.');
+
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    action: entry.action,
+    actor: isVote ? null : entry.actor,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    before: entry.before,
+    after: entry.after
+  };
+};
+
+// Activity feed of a poll (owner only)
+export const getPollActivity = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const { cursor, limit, action } = req.query;
+
+    const poll = await prisma.poll.findUnique({
+      where: { id: pollId },
+      select: { id: true, userId: true }
+    });
+
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!can(req.user, 'manage', poll)) {
+      return res.status(403).json({ error: 'Not authorized to view this poll\'s activity' });
+    }
+
+    const { items, pagination } = await paginate(prisma.auditLog, {
+      where: {
+        pollId,
+        ...(action && { action })
+      },
+      orderBy: auditOrder,
+      cursor,
+      limit,
+      include: actorSelect
+    });
+
+    res.json({ activity: items.map(_toActivity), pagination });
+  } catch (error) {
+    logger.error('Get poll activity error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// The full audit log (admins only)
+export const getAuditLog = async (req, res) => {
+  try {
+    const {
+      cursor,
+      limit,
+      action,
+      actorId,
+      pollId,
+      targetType,
+      createdAfter,
+      createdBefore
+    } = req.query;
+
+    const { items: entries, pagination } = await paginate(prisma.auditLog, {
+      where: {
+        ...(action && { action }),
+        ...(actorId && { actorId }),
+        ...(pollId && { pollId }),
+        ...(targetType && { targetType }),
+        ...((createdAfter || createdBefore) && {
+          createdAt: {
+            ...(createdAfter && { gte: createdAfter }),
+            ...(createdBefore && { lt: createdBefore })
+          }
+        })
+      },
+      orderBy: auditOrder,
+      cursor,
+      limit,
+      include: actorSelect
+    });
+
+    res.json({ entries, pagination });
+  } catch (error) {
+    logger.error('Get audit log error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,283 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/pollPolicy.js';
+import { paginate } from '../utils/pagination.js';
+import { auditActor, recordAudit } from '../services/auditLog.js';
+import { findAccessError, pollAccessSelect } from '../services/pollAccess.js';
+
+// Threaded comments. Any comment can be replied to; each level of a thread
+// is listed separately. Deleting a comment clears its text but keeps the
+// row, so its replies stay in place. Changes are broadcast to the poll's room.
+
+// Deleted comments are only listed while they still have replies
+const visibleComments = {
+  OR: [{ deletedAt: null }, { replies: { some: {} } }]
+};
+
+const commentInclude = {
+  user: {
+    select: { id: true, name: true }
+  },
+  _count: {
+    select: {
+      replies: { where: visibleComments }
+    }
+  }
+};
+
+const _formatComment = (comment) => {
+  const deleted = Boolean(comment.deletedAt);
+
+  return {
+    id: comment.id,
+    pollId: comment.pollId,
+    parentId: comment.parentId,
+    body: deleted ? null : comment.body,
+    author: deleted ? null : comment.user,
+    createdAt: comment.createdAt,
+    editedAt: comment.editedAt,
+    deletedAt: comment.deletedAt,
+    deletedBy: deleted ? (comment.deletedById === comment.userId ? 'author' : 'moderator') : null,
+    replyCount: comment._count.replies
+  };
+};
+
+// Number of comments on a poll that have not been deleted
+const _countComments = (pollId) => prisma.comment.count({
+  where: { pollId, deletedAt: null }
+});
+
+const _broadcast = (req, pollId, event, payload) => {
+  req.app.get('io').to(`poll-${pollId}`).emit(event, { pollId, ...payload });
+};
+
+// Load a poll whose comments the caller may read and write: one they may
+// open (see canAccess). Returns { poll } or { status, error }.
+const _findCommentablePoll = async (req, pollId) => {
+  if (req.guest && req.guest.pollId !== pollId) {
+    return { status: 403, error: 'Guest session is not valid for this poll' };
+  }
+
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    select: pollAccessSelect
+  });
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  const accessError = await findAccessError(req.user, poll);
+  return accessError || { poll };
+};
+
+// Get a poll's top-level comments (users or share-link guests)
+export const getComments = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const { cursor, limit, sort } = req.query;
+
+    const { status, error } = await _findCommentablePoll(req, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const direction = sort === 'oldest' ? 'asc' : 'desc';
+    const { items: comments, pagination } = await paginate(prisma.comment, {
+      where: { pollId, parentId: null, ...visibleComments },
+      orderBy: [{ createdAt: direction }, { id: direction }],
+      cursor,
+      limit,
+      include: commentInclude
+    });
+
+    res.json({
+      comments: comments.map(_formatComment),
+      commentCount: await _countComments(pollId),
+      pagination
+    });
+  } catch (error) {
+    logger.error('Get comments error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get the direct replies to a comment, oldest first
+export const getReplies = async (req, res) => {
+  try {
+    const { pollId, commentId } = req.params;
+    const { cursor, limit } = req.query;
+
+    const { status, error } = await _findCommentablePoll(req, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const parent = await prisma.comment.findFirst({
+      where: { id: commentId, pollId },
+      select: { id: true }
+    });
+
+    if (!parent) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const { items: replies, pagination } = await paginate(prisma.comment, {
+      where: { parentId: commentId, ...visibleComments },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      cursor,
+      limit,
+      include: commentInclude
+    });
+
+    res.json({ replies: replies.map(_formatComment), pagination });
+  } catch (error) {
+    logger.error('Get replies error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Post a comment, or a reply with parentId
+export const createComment = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const { body, parentId } = req.body;
+
+    const { status, error } = await _findCommentablePoll(req, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (parentId) {
+      const parent = await prisma.comment.findFirst({
+        where: { id: parentId, pollId },
+        select: { deletedAt: true }
+      });
+
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+
+      if (parent.deletedAt) {
+        return res.status(400).json({ error: 'Cannot reply to a deleted comment' });
+      }
+    }
+
+    const comment = _formatComment(await prisma.comment.create({
+      data: {
+        body,
+        pollId,
+        parentId,
+        userId: req.user.id
+      },
+      include: commentInclude
+    }));
+
+    _broadcast(req, pollId, 'commentCreated', {
+      comment,
+      commentCount: await _countComments(pollId)
+    });
+
+    res.status(201).json({
+      message: 'Comment posted successfully',
+      comment
+    });
+  } catch (error) {
+    logger.error('Create comment error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Edit a comment (author only)
+export const updateComment = async (req, res) => {
+  try {
+    const { pollId, commentId } = req.params;
+    const { body } = req.body;
+
+    const existingComment = await prisma.comment.findFirst({
+      where: { id: commentId, pollId, deletedAt: null },
+      select: { userId: true }
+    });
+
+    if (!existingComment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (existingComment.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the author can edit this comment' });
+    }
+
+    const comment = _formatComment(await prisma.comment.update({
+      where: { id: commentId },
+      data: { body, editedAt: new Date() },
+      include: commentInclude
+    }));
+
+    _broadcast(req, pollId, 'commentUpdated', { comment });
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    logger.error('Update comment error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Delete a comment: its author, or the poll's owner and staff as moderators
+export const deleteComment = async (req, res) => {
+  try {
+    const { pollId, commentId } = req.params;
+
+    const existingComment = await prisma.comment.findFirst({
+      where: { id: commentId, pollId, deletedAt: null },
+      include: {
+        poll: {
+          select: { userId: true }
+        }
+      }
+    });
+
+    if (!existingComment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const isAuthor = existingComment.userId === req.user.id;
+    if (!isAuthor && !can(req.user, 'moderateComments', existingComment.poll)) {
+      return res.status(403).json({ error: 'Not authorized to delete this comment' });
+    }
+
+    await prisma.comment.update({
+      where: { id: commentId },
+      data: { body: '', deletedAt: new Date(), deletedById: req.user.id }
+    });
+
+    // Removing someone else's comment is a moderation action
+    if (!isAuthor) {
+      await recordAudit({
+        action: 'comment.remove',
+        actor: auditActor(req),
+        pollId,
+        targetType: 'comment',
+        targetId: commentId,
+        before: { authorId: existingComment.userId, body: existingComment.body }
+      });
+    }
+
+    _broadcast(req, pollId, 'commentDeleted', {
+      commentId,
+      parentId: existingComment.parentId,
+      deletedBy: isAuthor ? 'author' : 'moderator',
+      commentCount: await _countComments(pollId)
+    });
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    logger.error('Delete comment error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { computePollResults } from '../services/pollResults.js';
+import { toCsvRow } from '../utils/csv.js';
+import { can } from '../policies/pollPolicy.js';
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+// Votes are read from the database in pages of this size
+const BATCH_SIZE = 1000;
+
+const VOTE_COLUMNS = ['voteId', 'optionId', 'optionText', 'rank', 'createdAt', 'voterType', 'voter'];
+
+// Pseudonymous voter ID: stable within a poll, but not linkable across polls
+const _hashVoter = (pollId, voterId) => crypto
+  .createHmac('sha256', process.env.EXPORT_HASH_SECRET || process.env.JWT_SECRET)
+  .update(`${pollId}:${voterId}`)
+  .digest('hex')
+  .slice(0, 32);
+
+// Write a chunk, waiting for the client to catch up when its buffer is full
+// (or to go away, in which case the caller stops on res.destroyed)
+const _write = (res, chunk) => new Promise((resolve) => {
+  if (res.write(chunk)) {
+    return resolve();
+  }
+
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const _streamVotes = async (res, pollId, format, voterMode) => {
+  if (format === 'csv') {
+    await _write(res, toCsvRow(VOTE_COLUMNS));
+  }
+
+  let cursor = null;
+
+  // Page through the votes by ID so memory use stays flat for any poll size
+  while (!res.destroyed) {
+    const votes = await prisma.vote.findMany({
+      where: { pollOption: { pollId } },
+      select: {
+        id: true,
+        rank: true,
+        createdAt: true,
+        userId: true,
+        guestSessionId: true,
+        pollOption: {
+          select: { id: true, text: true }
+        }
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    for (const vote of votes) {
+      if (res.destroyed) {
+        return;
+      }
+
+      const voterId = vote.userId || vote.guestSessionId;
+      const row = {
+        voteId: vote.id,
+        optionId: vote.pollOption.id,
+        optionText: vote.pollOption.text,
+        rank: vote.rank,
+        createdAt: vote.createdAt,
+        voterType: vote.userId ? 'user' : 'guest',
+        voter: voterMode === 'id' ? voterId : _hashVoter(pollId, voterId)
+      };
+
+      await _write(res, format === 'csv'
+        ? toCsvRow(VOTE_COLUMNS.map(column => row[column]))
+        : `${JSON.stringify(row)}\n`);
+    }
+
+    if (votes.length < BATCH_SIZE) {
+      break;
+    }
+    cursor = votes[votes.length - 1].id;
+  }
+};
+
+const _writeSummary = async (res, pollId, format) => {
+  const results = await computePollResults(pollId);
+
+  if (format === 'jsonl') {
+    await _write(res, `${JSON.stringify(results)}\n`);
+    return;
+  }
+
+  const columns = ['optionId', 'optionText', 'voteCount', 'percentage'];
+  if (results.type === 'ranked') {
+    columns.push('eliminatedInRound');
+  }
+
+  await _write(res, toCsvRow(columns));
+  for (const option of results.options) {
+    await _write(res, toCsvRow([
+      option.id,
+      option.text,
+      option.voteCount,
+      option.percentage,
+      ...(results.type === 'ranked' ? [option.eliminatedInRound] : [])
+    ]));
+  }
+};
+
+// Export a poll's raw votes or results summary (owner only).
+// Query: format=csv|jsonl, sheet=votes|summary, voter=hash|id
+export const exportPoll = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const { format, sheet, voter } = req.query;
+
+    const poll = await prisma.poll.findUnique({
+      where: { id: pollId },
+      select: { id: true, userId: true, isPublished: true }
+    });
+
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!can(req.user, 'manage', poll)) {
+      return res.status(403).json({ error: 'Not authorized to export this poll' });
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="poll-${pollId}-${sheet}.${FORMATS[format].extension}"`
+    );
+
+    if (sheet === 'summary') {
+      await _writeSummary(res, pollId, format);
+    } else {
+      await _streamVotes(res, pollId, format, voter);
+    }
+
+    res.end();
+  } catch (error) {
+    logger.error('Export poll error', error);
+
+    // Once streaming has started the status is sent; abort so the client sees a truncated download
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
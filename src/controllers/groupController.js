@@ -0,0 +1,346 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/groupPolicy.js';
+import { paginate } from '../utils/pagination.js';
+import { emailsOfUsers, listInvitations, normalizeEmail, uniqueEmails } from '../services/invitations.js';
+import { syncGroupRoomAccess } from '../websocket/roomAccess.js';
+import { MAX_GROUP_MEMBERS } from '../validation/groupSchemas.js';
+
+// User groups, for naming many people at once on restricted polls' access
+// lists. The owner is always a member. Others are invited by email and join
+// once they sign in with that address verified (see services/invitations.js).
+
+const groupInclude = {
+  owner: {
+    select: { id: true, name: true }
+  },
+  _count: {
+    select: { members: true }
+  }
+};
+
+const memberInclude = {
+  user: {
+    select: { id: true, name: true }
+  }
+};
+
+const _formatGroup = ({ _count, ownerId, ...group }) => ({
+  ...group,
+  memberCount: _count.members
+});
+
+const _formatMember = (member) => ({
+  ...member.user,
+  addedAt: member.addedAt
+});
+
+// Load a group the user may act on. Groups they cannot see are reported as
+// missing. Returns { group } or { status, error }.
+const _findGroup = async (user, groupId, action) => {
+  const group = await prisma.group.findUnique({
+    where: { id: groupId },
+    include: {
+      ...groupInclude,
+      members: {
+        where: { userId: user.id },
+        select: { id: true }
+      }
+    }
+  });
+
+  const isMember = Boolean(group) && group.members.length > 0;
+
+  if (!group || !can(user, 'view', group, { isMember })) {
+    return { status: 404, error: 'Group not found' };
+  }
+
+  if (!can(user, action, group, { isMember })) {
+    return { status: 403, error: 'Not authorized to change this group' };
+  }
+
+  const { members, ...rest } = group;
+  return { group: rest };
+};
+
+const groupSizeError = { error: `A group can have at most ${MAX_GROUP_MEMBERS} members` };
+
+// Invite `emails` to a group, skipping members and addresses already
+// invited. Pending invitations count towards the size limit.
+// Returns { invited } or { status, body } if the group would be too big.
+const _inviteMembers = async (groupId, invitedById, emails) => {
+  const addresses = uniqueEmails(emails);
+
+  const members = await prisma.groupMember.findMany({
+    where: { groupId },
+    select: { userId: true }
+  });
+  const memberEmails = await emailsOfUsers(members.map(member => member.userId), addresses);
+
+  const pending = await prisma.invitation.findMany({
+    where: { groupId },
+    select: { email: true }
+  });
+  const pendingEmails = new Set(pending.map(invitation => invitation.email));
+
+  const newEmails = addresses.filter(email => !memberEmails.has(email) && !pendingEmails.has(email));
+
+  if (members.length + pending.length + newEmails.length > MAX_GROUP_MEMBERS) {
+    return { status: 400, body: groupSizeError };
+  }
+
+  const { count } = await prisma.invitation.createMany({
+    data: newEmails.map(email => ({ groupId, email, invitedById })),
+    skipDuplicates: true
+  });
+
+  return { invited: count };
+};
+
+// Get the groups the user owns and/or belongs to
+export const getGroups = async (req, res) => {
+  try {
+    const { cursor, limit, scope, q } = req.query;
+
+    const owned = { ownerId: req.user.id };
+    const member = { members: { some: { userId: req.user.id } } };
+    const scopes = {
+      all: { OR: [owned, member] },
+      owned,
+      member: { ...member, ownerId: { not: req.user.id } }
+    };
+
+    const { items: groups, pagination } = await paginate(prisma.group, {
+      where: {
+        ...scopes[scope],
+        ...(q && { name: { contains: q, mode: 'insensitive' } })
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      cursor,
+      limit,
+      include: groupInclude
+    });
+
+    res.json({ groups: groups.map(_formatGroup), pagination });
+  } catch (error) {
+    logger.error('Get groups error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get a group with its members (members, the owner and staff). Those who
+// can change the group also see its pending invitations.
+export const getGroupById = async (req, res) => {
+  try {
+    const { group, status, error } = await _findGroup(req.user, req.params.groupId, 'view');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const members = await prisma.groupMember.findMany({
+      where: { groupId: group.id },
+      include: memberInclude,
+      orderBy: { addedAt: 'asc' }
+    });
+
+    const canInvite = can(req.user, 'update', group, { isMember: true });
+
+    res.json({
+      group: {
+        ..._formatGroup(group),
+        members: members.map(_formatMember),
+        ...(canInvite && { invitations: await listInvitations({ groupId: group.id }) })
+      }
+    });
+  } catch (error) {
+    logger.error('Get group error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Create a group, optionally inviting members by email right away
+export const createGroup = async (req, res) => {
+  try {
+    const { name, description, emails } = req.body;
+
+    const ownerEmail = normalizeEmail(req.user.email);
+    const invitedEmails = uniqueEmails(emails).filter(email => email !== ownerEmail);
+
+    if (1 + invitedEmails.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json(groupSizeError);
+    }
+
+    const group = await prisma.group.create({
+      data: {
+        name,
+        description,
+        ownerId: req.user.id,
+        members: {
+          create: [{ userId: req.user.id }]
+        },
+        invitations: {
+          create: invitedEmails.map(email => ({ email, invitedById: req.user.id }))
+        }
+      },
+      include: groupInclude
+    });
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group: _formatGroup(group),
+      invited: invitedEmails.length
+    });
+  } catch (error) {
+    logger.error('Create group error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Rename a group or change its description (owner only)
+export const updateGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { name, description } = req.body;
+
+    const { status, error } = await _findGroup(req.user, groupId, 'update');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const group = await prisma.group.update({
+      where: { id: groupId },
+      data: {
+        ...(name && { name }),
+        ...(typeof description !== 'undefined' && { description })
+      },
+      include: groupInclude
+    });
+
+    res.json({
+      message: 'Group updated successfully',
+      group: _formatGroup(group)
+    });
+  } catch (error) {
+    logger.error('Update group error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Delete a group (owner, or moderators and admins). Polls it was on the
+// access list of stop admitting its members.
+export const deleteGroup = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const { status, error } = await _findGroup(req.user, groupId, 'delete');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const pollIds = (await prisma.pollAccess.findMany({
+      where: { groupId },
+      select: { pollId: true }
+    })).map(entry => entry.pollId);
+
+    await prisma.group.delete({
+      where: { id: groupId }
+    });
+
+    await syncGroupRoomAccess(req.app.get('io'), groupId, pollIds);
+
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    logger.error('Delete group error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Invite members by email (owner only)
+export const addGroupMembers = async (req, res) => {
+  try {
+    const { groupId } = req.params;
+
+    const { status, error } = await _findGroup(req.user, groupId, 'update');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await _inviteMembers(groupId, req.user.id, req.body.emails);
+
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.json({
+      message: 'Members invited successfully',
+      invited: result.invited,
+      invitations: await listInvitations({ groupId })
+    });
+  } catch (error) {
+    logger.error('Add group members error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Withdraw a pending invitation (owner only)
+export const cancelGroupInvitation = async (req, res) => {
+  try {
+    const { groupId, invitationId } = req.params;
+
+    const { status, error } = await _findGroup(req.user, groupId, 'update');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { count } = await prisma.invitation.deleteMany({
+      where: { id: invitationId, groupId }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation cancelled successfully' });
+  } catch (error) {
+    logger.error('Cancel group invitation error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Remove a member: the owner removes anyone else, members remove themselves
+export const removeGroupMember = async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+    const isSelf = userId === req.user.id;
+
+    const { group, status, error } = await _findGroup(req.user, groupId, isSelf ? 'view' : 'update');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (userId === group.owner.id) {
+      return res.status(400).json({ error: 'The owner cannot be removed from their group' });
+    }
+
+    const { count } = await prisma.groupMember.deleteMany({
+      where: { groupId, userId }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    await syncGroupRoomAccess(req.app.get('io'), groupId);
+
+    res.json({ message: isSelf ? 'Left group successfully' : 'Member removed successfully' });
+  } catch (error) {
+    logger.error('Remove group member error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
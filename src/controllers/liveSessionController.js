@@ -0,0 +1,236 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/liveSessionPolicy.js';
+import { paginate } from '../utils/pagination.js';
+import {
+  endLiveSession,
+  findByJoinCode,
+  findPresentedSession,
+  getLiveState,
+  publishLiveSessionChange,
+  withJoinCode
+} from '../services/liveSessions.js';
+import { validationErrorBody } from '../validation/common.js';
+
+// Live sessions are created and arranged here; the presenter runs them
+// over the socket (see services/liveSessions.js).
+
+const sessionInclude = {
+  _count: {
+    select: { polls: true }
+  }
+};
+
+const _formatSession = ({ _count, userId, ...session }) => ({
+  ...session,
+  pollCount: _count.polls
+});
+
+// Check that `pollIds` are distinct polls of the user that are not
+// restricted. Returns validation details for the ones that are not.
+const _checkPolls = async (userId, pollIds) => {
+  const polls = await prisma.poll.findMany({
+    where: { id: { in: pollIds }, userId },
+    select: { id: true, visibility: true }
+  });
+  const found = new Map(polls.map(poll => [poll.id, poll]));
+
+  return pollIds
+    .map((pollId, index) => {
+      const field = `pollIds.${index}`;
+
+      if (pollIds.indexOf(pollId) !== index) {
+        return { field, message: 'Duplicate poll', code: 'duplicate_poll' };
+      }
+      if (!found.has(pollId)) {
+        return { field, message: 'Must be one of your polls', code: 'invalid_poll' };
+      }
+      if (found.get(pollId).visibility === 'restricted') {
+        return { field, message: 'Restricted polls cannot be presented', code: 'restricted_poll' };
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .map(detail => ({ location: 'body', ...detail }));
+};
+
+// Get the live sessions the user presents
+export const getLiveSessions = async (req, res) => {
+  try {
+    const { cursor, limit, status, q } = req.query;
+
+    const { items: sessions, pagination } = await paginate(prisma.liveSession, {
+      where: {
+        userId: req.user.id,
+        ...(status && { status }),
+        ...(q && { title: { contains: q, mode: 'insensitive' } })
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      cursor,
+      limit,
+      include: sessionInclude
+    });
+
+    res.json({ liveSessions: sessions.map(_formatSession), pagination });
+  } catch (error) {
+    logger.error('Get live sessions error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Create a live session over the user's polls, with a fresh join code
+export const createLiveSession = async (req, res) => {
+  try {
+    const { title, pollIds } = req.body;
+
+    const details = await _checkPolls(req.user.id, pollIds);
+
+    if (details.length > 0) {
+      return res.status(400).json(validationErrorBody(details));
+    }
+
+    const session = await withJoinCode(joinCode => prisma.liveSession.create({
+      data: {
+        title,
+        joinCode,
+        userId: req.user.id,
+        polls: {
+          create: pollIds.map((pollId, position) => ({ pollId, position }))
+        }
+      },
+      include: sessionInclude
+    }));
+
+    res.status(201).json({
+      message: 'Live session created successfully',
+      liveSession: _formatSession(session)
+    });
+  } catch (error) {
+    logger.error('Create live session error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get a session as its presenter sees it (presenter and staff)
+export const getLiveSessionById = async (req, res) => {
+  try {
+    const { liveSessionId } = req.params;
+
+    const session = await prisma.liveSession.findUnique({
+      where: { id: liveSessionId },
+      select: { userId: true }
+    });
+
+    if (!session || !can(req.user, 'view', session)) {
+      return res.status(404).json({ error: 'Live session not found' });
+    }
+
+    res.json({ liveSession: await getLiveState(liveSessionId, { forPresenter: true }) });
+  } catch (error) {
+    logger.error('Get live session error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Look a session up by its join code, e.g. to show its title before
+// joining it over the socket
+export const getLiveSessionByCode = async (req, res) => {
+  try {
+    const session = await findByJoinCode(req.params.joinCode);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Live session not found' });
+    }
+
+    res.json({ liveSession: await getLiveState(session.id) });
+  } catch (error) {
+    logger.error('Get live session by code error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Rename a session or replace its polls (presenter only). A running
+// session must keep its current poll.
+export const updateLiveSession = async (req, res) => {
+  try {
+    const { liveSessionId } = req.params;
+    const { title, pollIds } = req.body;
+
+    const { session, status, error } = await findPresentedSession(req.user, liveSessionId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (session.status === 'ended') {
+      return res.status(409).json({ error: 'Live session has ended' });
+    }
+
+    if (pollIds) {
+      const details = await _checkPolls(req.user.id, pollIds);
+
+      if (details.length > 0) {
+        return res.status(400).json(validationErrorBody(details));
+      }
+
+      if (session.currentPollId && !pollIds.includes(session.currentPollId)) {
+        return res.status(409).json({ error: 'The current poll cannot be removed from a running session' });
+      }
+    }
+
+    await prisma.$transaction([
+      prisma.liveSession.update({
+        where: { id: liveSessionId },
+        data: { ...(title && { title }) }
+      }),
+      ...(pollIds ? [
+        prisma.liveSessionPoll.deleteMany({ where: { liveSessionId } }),
+        prisma.liveSessionPoll.createMany({
+          data: pollIds.map((pollId, position) => ({ liveSessionId, pollId, position }))
+        })
+      ] : [])
+    ]);
+
+    await publishLiveSessionChange(liveSessionId, { type: pollIds ? 'pollsChanged' : 'renamed' });
+
+    res.json({
+      message: 'Live session updated successfully',
+      liveSession: await getLiveState(liveSessionId, { forPresenter: true })
+    });
+  } catch (error) {
+    logger.error('Update live session error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Delete a session (presenter, or moderators and admins). A running
+// session is ended first, so its participants are told. Its polls are kept.
+export const deleteLiveSession = async (req, res) => {
+  try {
+    const { liveSessionId } = req.params;
+
+    const session = await prisma.liveSession.findUnique({
+      where: { id: liveSessionId },
+      select: { userId: true }
+    });
+
+    if (!session || !(can(req.user, 'view', session) || can(req.user, 'delete', session))) {
+      return res.status(404).json({ error: 'Live session not found' });
+    }
+
+    if (!can(req.user, 'delete', session)) {
+      return res.status(403).json({ error: 'Not authorized to delete this live session' });
+    }
+
+    await endLiveSession(liveSessionId, 'deleted');
+
+    await prisma.liveSession.delete({
+      where: { id: liveSessionId }
+    });
+
+    res.json({ message: 'Live session deleted successfully' });
+  } catch (error) {
+    logger.error('Delete live session error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
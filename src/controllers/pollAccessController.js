@@ -0,0 +1,182 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/pollPolicy.js';
+import { emailsOfUsers, listInvitations, uniqueEmails } from '../services/invitations.js';
+import { auditActor, recordAudit } from '../services/auditLog.js';
+import { syncRoomAccess } from '../websocket/roomAccess.js';
+import { validationErrorBody } from '../validation/common.js';
+
+// The access list names the users and groups who may open a restricted
+// poll. It is kept while the poll is public or unlisted, so switching
+// back to restricted restores it. Users are added by email through
+// invitations (see services/invitations.js).
+
+const accessInclude = {
+  user: {
+    select: { id: true, name: true, email: true }
+  },
+  group: {
+    select: {
+      id: true,
+      name: true,
+      _count: { select: { members: true } }
+    }
+  }
+};
+
+const _formatAccess = (poll, { entries, invitations }) => ({
+  pollId: poll.id,
+  visibility: poll.visibility,
+  users: entries.filter(entry => entry.user).map(entry => entry.user),
+  invitations,
+  groups: entries.filter(entry => entry.group).map(({ group }) => ({
+    id: group.id,
+    name: group.name,
+    memberCount: group._count.members
+  }))
+});
+
+// Load a poll whose access list the user manages. Returns { poll } or { status, error }.
+const _findManagedPoll = async (user, pollId) => {
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    select: { id: true, userId: true, visibility: true }
+  });
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  if (!can(user, 'manage', poll)) {
+    return { status: 403, error: 'Not authorized to manage access to this poll' };
+  }
+
+  return { poll };
+};
+
+const _listAccess = async (pollId) => ({
+  entries: await prisma.pollAccess.findMany({
+    where: { pollId },
+    include: accessInclude,
+    orderBy: { createdAt: 'asc' }
+  }),
+  invitations: await listInvitations({ pollId })
+});
+
+// Get a poll's access list (owner only)
+export const getPollAccess = async (req, res) => {
+  try {
+    const { poll, status, error } = await _findManagedPoll(req.user, req.params.pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ access: _formatAccess(poll, await _listAccess(poll.id)) });
+  } catch (error) {
+    logger.error('Get poll access error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Replace a poll's access list with the people behind `emails` and the
+// groups in `groupIds`. Users already on the list whose address is in
+// `emails` stay on it; every other address is invited. Only groups the
+// owner owns or belongs to can be added.
+export const updatePollAccess = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const { emails, groupIds } = req.body;
+
+    const { poll, status, error } = await _findManagedPoll(req.user, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const previous = await prisma.pollAccess.findMany({
+      where: { pollId },
+      select: { userId: true, groupId: true }
+    });
+    const previousUserIds = previous.filter(entry => entry.userId).map(entry => entry.userId);
+
+    const addresses = uniqueEmails(emails);
+    const keptUsers = await emailsOfUsers(previousUserIds, addresses);
+    const invitedEmails = addresses.filter(email => !keptUsers.has(email));
+    const userIds = [...keptUsers.values()];
+
+    const uniqueGroupIds = [...new Set(groupIds)];
+    const groups = await prisma.group.findMany({
+      where: {
+        id: { in: uniqueGroupIds },
+        OR: [
+          { ownerId: req.user.id },
+          { members: { some: { userId: req.user.id } } }
+        ]
+      },
+      select: { id: true }
+    });
+    const foundGroupIds = new Set(groups.map(group => group.id));
+
+    const details = groupIds
+      .map((groupId, index) => (foundGroupIds.has(groupId) ? null : {
+        location: 'body',
+        field: `groupIds.${index}`,
+        message: 'Group not found',
+        code: 'unknown_group'
+      }))
+      .filter(Boolean);
+
+    if (details.length > 0) {
+      return res.status(400).json(validationErrorBody(details));
+    }
+
+    await prisma.$transaction([
+      prisma.pollAccess.deleteMany({ where: { pollId } }),
+      prisma.pollAccess.createMany({
+        data: [
+          ...userIds.map(userId => ({ pollId, userId })),
+          ...uniqueGroupIds.map(groupId => ({ pollId, groupId }))
+        ],
+        skipDuplicates: true
+      }),
+      prisma.invitation.deleteMany({
+        where: { pollId, email: { notIn: invitedEmails } }
+      }),
+      prisma.invitation.createMany({
+        data: invitedEmails.map(email => ({ pollId, email, invitedById: req.user.id })),
+        skipDuplicates: true
+      })
+    ]);
+
+    await recordAudit({
+      action: 'poll.access_update',
+      actor: auditActor(req),
+      pollId,
+      targetType: 'poll',
+      targetId: pollId,
+      before: {
+        userIds: previousUserIds,
+        groupIds: previous.filter(entry => entry.groupId).map(entry => entry.groupId)
+      },
+      after: {
+        userIds,
+        groupIds: uniqueGroupIds,
+        invitedEmails
+      }
+    });
+
+    // Viewers taken off the list lose the poll's live updates
+    if (poll.visibility === 'restricted') {
+      await syncRoomAccess(req.app.get('io'), pollId);
+    }
+
+    res.json({
+      message: 'Access list updated successfully',
+      access: _formatAccess(poll, await _listAccess(pollId))
+    });
+  } catch (error) {
+    logger.error('Update poll access error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,65 +1,187 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { closePoll, schedulePoll, unschedulePoll } from '../services/pollScheduler.js';
+import { createPollWithOptions } from '../services/pollCreation.js';
+import { getOnlineUsersInPoll } from '../websocket/socketHandlers.js';
+import { publishPollStructure, publishTallyInvalidation } from '../websocket/pollUpdates.js';
+import { syncResultsAccess } from '../websocket/resultsAccess.js';
+import { syncRoomAccess } from '../websocket/roomAccess.js';
+import { auditActor, pollSnapshot, recordAudit } from '../services/auditLog.js';
+import { triggerWebhookEvent } from '../services/webhookDelivery.js';
+import { can, canSeeResults } from '../policies/pollPolicy.js';
+import { buildPollFilter, POLL_SORT_ORDERS } from '../services/pollListing.js';
+import { findAccessError, listedPollsFilter } from '../services/pollAccess.js';
+import { paginate } from '../utils/pagination.js';
 
-// Create a new poll
+// Comment counts leave out deleted comments
+const liveComments = { where: { deletedAt: null } };
+
+// Share tokens grant guest access, so only the poll's owner gets to see them
+const _hideShareToken = (poll, userId) => {
+  if (poll.userId === userId) {
+    return poll;
+  }
+
+  const { shareToken, ...publicPoll } = poll;
+  return publicPoll;
+};
+
+// A quiz's correct option stays with its owner until it is revealed
+const _mayKnowAnswer = (poll, user) => poll.type === 'quiz' &&
+  (Boolean(poll.answerRevealedAt) || Boolean(user && can(user, 'manage', poll)));
+
+// Other polls have no correct option, so the flag is dropped from them too
+const _hideAnswers = (poll, user) => {
+  if (_mayKnowAnswer(poll, user)) {
+    return poll;
+  }
+
+  return {
+    ...poll,
+    options: poll.options.map(({ isCorrect, ...option }) => option)
+  };
+};
+
+// Drop vote counts from the polls whose results policy hides them from the
+// user (absent for anonymous viewers). Expects options with voteCount.
+const _hideResults = async (polls, user) => {
+  const afterVoteIds = polls
+    .filter(poll => poll.resultsVisibility === 'after_vote')
+    .map(poll => poll.id);
+
+  const votes = user && afterVoteIds.length > 0
+    ? await prisma.vote.findMany({
+      where: { userId: user.id, pollOption: { pollId: { in: afterVoteIds } } },
+      select: { pollOption: { select: { pollId: true } } }
+    })
+    : [];
+  const votedPollIds = new Set(votes.map(vote => vote.pollOption.pollId));
+
+  return polls.map(poll => {
+    if (canSeeResults(user, poll, { hasVoted: votedPollIds.has(poll.id) })) {
+      return poll;
+    }
+
+    const { voterCount, ...hiddenPoll } = poll;
+    return {
+      ...hiddenPoll,
+      resultsHidden: true,
+      options: poll.options.map(({ voteCount, _count, ...option }) => option)
+    };
+  });
+};
+
+// Create a new poll (body validated by createPollBody)
 export const createPoll = async (req, res) => {
   try {
-    const { question, options, isPublished = false } = req.body;
+    const { quizSessionId } = req.body;
 
-    // Validate input
-    if (!question || !options || !Array.isArray(options) || options.length < 2) {
-      return res.status(400).json({
-        error: 'Question and at least 2 options are required'
+    // Quiz questions can only join the user's own sessions
+    if (quizSessionId) {
+      const session = await prisma.quizSession.findFirst({
+        where: { id: quizSessionId, userId: req.user.id },
+        select: { id: true }
       });
+
+      if (!session) {
+        return res.status(404).json({ error: 'Quiz session not found' });
+      }
     }
 
-    // Create poll with options in a transaction
-    const poll = await prisma.$transaction(async (tx) => {
-      // Create the poll
-      const newPoll = await tx.poll.create({
-        data: {
-          question,
-          isPublished,
-          userId: req.user.id
-        }
-      });
+    const poll = await createPollWithOptions(req.user.id, req.body, {
+      actor: auditActor(req)
+    });
 
-      // Create poll options
-      const pollOptions = await tx.pollOption.createMany({
-        data: options.map(optionText => ({
-          text: optionText.trim(),
-          pollId: newPoll.id
-        }))
-      });
+    res.status(201).json({
+      message: 'Poll created successfully',
+      poll
+    });
+  } catch (error) {
+    logger.error('Create poll error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-      // Return poll with options
-      return await tx.poll.findUnique({
-        where: { id: newPoll.id },
-        include: {
-          options: true,
-          user: {
-            select: { id: true, name: true, email: true }
-          }
+// Copy a poll's question, options and settings into a new unpublished
+// draft owned by the user. Votes, the voting window and the access list
+// are not copied, nor is a quiz's correct option unless the user owns the
+// quiz or its answer was revealed.
+export const clonePoll = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+
+    const source = await prisma.poll.findUnique({
+      where: { id: pollId },
+      include: {
+        options: {
+          select: { text: true, isCorrect: true },
+          orderBy: { position: 'asc' }
         }
-      });
+      }
+    });
+
+    if (!source) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const accessError = await findAccessError(req.user, source);
+    if (accessError) {
+      return res.status(accessError.status).json({ error: accessError.error });
+    }
+
+    const poll = await createPollWithOptions(req.user.id, {
+      question: req.body.question || source.question,
+      options: source.options.map(option => option.text),
+      isPublished: false,
+      visibility: source.visibility,
+      type: source.type,
+      minSelections: source.minSelections,
+      maxSelections: source.maxSelections,
+      allowVoteChange: source.allowVoteChange,
+      resultsVisibility: source.resultsVisibility,
+      answerTimeLimit: source.answerTimeLimit,
+      ...(_mayKnowAnswer(source, req.user) && {
+        correctOptionIndex: source.options.findIndex(option => option.isCorrect)
+      })
+    }, {
+      actor: auditActor(req),
+      origin: { clonedFromId: source.id }
     });
 
     res.status(201).json({
-      message: 'Poll created successfully',
+      message: 'Poll cloned successfully',
       poll
     });
   } catch (error) {
-    console.error('Create poll error:', error);
+    logger.error('Clone poll error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// Get all published polls
+// Get all published polls the user can find: public ones, plus restricted
+// ones they were given access to. Unlisted polls are left out.
 export const getAllPolls = async (req, res) => {
   try {
-    const polls = await prisma.poll.findMany({
-      where: { isPublished: true },
+    const { cursor, limit, sort, ...filters } = req.query;
+
+    if (typeof filters.hasVoted === 'boolean' && !req.user) {
+      return res.status(401).json({ error: 'Sign in to filter by hasVoted' });
+    }
+
+    const { items: polls, pagination } = await paginate(prisma.poll, {
+      where: buildPollFilter(
+        { isPublished: true, ...listedPollsFilter(req.user?.id) },
+        filters,
+        req.user?.id
+      ),
+      orderBy: POLL_SORT_ORDERS[sort],
+      cursor,
+      limit,
       include: {
         options: {
+          orderBy: { position: 'asc' },
           include: {
             _count: {
               select: { votes: true }
@@ -70,26 +192,24 @@ export const getAllPolls = async (req, res) => {
           select: { id: true, name: true, email: true }
         },
         _count: {
-          select: { options: true }
+          select: { options: true, comments: liveComments }
         }
-      },
-      orderBy: {
-        createdAt: 'desc'
       }
     });
 
-    // Transform to include vote counts
-    const pollsWithCounts = polls.map(poll => ({
-      ...poll,
+    // Transform to include vote and comment counts
+    const pollsWithCounts = polls.map(poll => _hideAnswers({
+      ..._hideShareToken(poll, req.user?.id),
       options: poll.options.map(option => ({
         ...option,
         voteCount: option._count.votes
-      }))
-    }));
+      })),
+      commentCount: poll._count.comments
+    }, req.user));
 
-    res.json({ polls: pollsWithCounts });
+    res.json({ polls: await _hideResults(pollsWithCounts, req.user), pagination });
   } catch (error) {
-    console.error('Get all polls error:', error);
+    logger.error('Get all polls error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -103,6 +223,7 @@ export const getPollById = async (req, res) => {
       where: { id: pollId },
       include: {
         options: {
+          orderBy: { position: 'asc' },
           include: {
             _count: {
               select: { votes: true }
@@ -111,6 +232,9 @@ export const getPollById = async (req, res) => {
         },
         user: {
           select: { id: true, name: true, email: true }
+        },
+        _count: {
+          select: { comments: liveComments }
         }
       }
     });
@@ -119,23 +243,28 @@ export const getPollById = async (req, res) => {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
-    // Check if poll is published or user is the creator
-    if (!poll.isPublished && poll.userId !== req.user.id) {
-      return res.status(403).json({ error: 'Poll is not published' });
+    // Drafts are for the owner and staff; restricted polls for their access list
+    const accessError = await findAccessError(req.user, poll);
+    if (accessError) {
+      return res.status(accessError.status).json({ error: accessError.error });
     }
 
-    // Transform to include vote counts
-    const pollWithCounts = {
-      ...poll,
+    // Transform to include vote and comment counts and the live viewer count
+    const pollWithCounts = _hideAnswers({
+      ..._hideShareToken(poll, req.user.id),
       options: poll.options.map(option => ({
         ...option,
         voteCount: option._count.votes
-      }))
-    };
+      })),
+      commentCount: poll._count.comments,
+      viewerCount: await getOnlineUsersInPoll(req.app.get('io'), pollId)
+    }, req.user);
 
-    res.json({ poll: pollWithCounts });
+    const [visiblePoll] = await _hideResults([pollWithCounts], req.user);
+
+    res.json({ poll: visiblePoll });
   } catch (error) {
-    console.error('Get poll by ID error:', error);
+    logger.error('Get poll by ID error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -143,10 +272,16 @@ export const getPollById = async (req, res) => {
 // Get user's polls
 export const getUserPolls = async (req, res) => {
   try {
-    const polls = await prisma.poll.findMany({
-      where: { userId: req.user.id },
+    const { cursor, limit, sort, ...filters } = req.query;
+
+    const { items: polls, pagination } = await paginate(prisma.poll, {
+      where: buildPollFilter({ userId: req.user.id }, filters, req.user.id),
+      orderBy: POLL_SORT_ORDERS[sort],
+      cursor,
+      limit,
       include: {
         options: {
+          orderBy: { position: 'asc' },
           include: {
             _count: {
               select: { votes: true }
@@ -156,24 +291,21 @@ export const getUserPolls = async (req, res) => {
         _count: {
           select: { options: true }
         }
-      },
-      orderBy: {
-        createdAt: 'desc'
       }
     });
 
     // Transform to include vote counts
-    const pollsWithCounts = polls.map(poll => ({
+    const pollsWithCounts = polls.map(poll => _hideAnswers({
       ...poll,
       options: poll.options.map(option => ({
         ...option,
         voteCount: option._count.votes
       }))
-    }));
+    }, req.user));
 
-    res.json({ polls: pollsWithCounts });
+    res.json({ polls: pollsWithCounts, pagination });
   } catch (error) {
-    console.error('Get user polls error:', error);
+    logger.error('Get user polls error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -182,7 +314,17 @@ export const getUserPolls = async (req, res) => {
 export const updatePoll = async (req, res) => {
   try {
     const { pollId } = req.params;
-    const { question, isPublished } = req.body;
+    const {
+      question,
+      isPublished,
+      visibility,
+      allowVoteChange,
+      isClosed,
+      resultsVisibility,
+      opensAt,
+      closesAt,
+      answerTimeLimit
+    } = req.body;
 
     // Check if poll exists and belongs to user
     const existingPoll = await prisma.poll.findUnique({
@@ -193,19 +335,63 @@ export const updatePoll = async (req, res) => {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
-    if (existingPoll.userId !== req.user.id) {
+    if (!can(req.user, 'update', existingPoll)) {
       return res.status(403).json({ error: 'Not authorized to update this poll' });
     }
 
+    if (typeof answerTimeLimit !== 'undefined' && existingPoll.type !== 'quiz') {
+      return res.status(400).json({ error: 'Only quiz polls have an answer time limit' });
+    }
+
+    // The body schema checks a window given in full; a partial update is
+    // checked against the poll's other end of the window here
+    const nextOpensAt = typeof opensAt !== 'undefined' ? opensAt : existingPoll.opensAt;
+    const nextClosesAt = typeof closesAt !== 'undefined' ? closesAt : existingPoll.closesAt;
+
+    if (nextOpensAt && nextClosesAt && nextClosesAt <= nextOpensAt) {
+      return res.status(400).json({ error: 'closesAt must be after opensAt' });
+    }
+
+    const reopening = isClosed === false && existingPoll.isClosed;
+    if (reopening && nextClosesAt && nextClosesAt <= new Date()) {
+      return res.status(400).json({
+        error: 'Cannot reopen a poll whose closing time has passed'
+      });
+    }
+
+    // Voters have seen the correct option
+    if (reopening && existingPoll.answerRevealedAt) {
+      return res.status(409).json({
+        error: 'Cannot reopen a quiz poll whose answer has been revealed'
+      });
+    }
+
+    // Closing goes through the scheduler so the room gets the final results
+    if (isClosed === true) {
+      await closePoll(pollId);
+    }
+
     // Update poll
     const updatedPoll = await prisma.poll.update({
       where: { id: pollId },
       data: {
         ...(question && { question }),
-        ...(typeof isPublished !== 'undefined' && { isPublished })
+        ...(typeof isPublished !== 'undefined' && { isPublished }),
+        // Quiz answers are timed from the latest publication
+        ...(isPublished && !existingPoll.isPublished && { publishedAt: new Date() }),
+        ...(visibility && { visibility }),
+        // Share links would let guests past the access list
+        ...(visibility === 'restricted' && { shareToken: null }),
+        ...(typeof allowVoteChange !== 'undefined' && { allowVoteChange }),
+        ...(resultsVisibility && { resultsVisibility }),
+        ...(typeof opensAt !== 'undefined' && { opensAt }),
+        ...(typeof closesAt !== 'undefined' && { closesAt }),
+        ...(typeof answerTimeLimit !== 'undefined' && { answerTimeLimit }),
+        ...(reopening && { isClosed: false, closedAt: null })
       },
       include: {
         options: {
+          orderBy: { position: 'asc' },
           include: {
             _count: {
               select: { votes: true }
@@ -218,28 +404,67 @@ export const updatePoll = async (req, res) => {
       }
     });
 
+    schedulePoll(updatedPoll);
+
+    // Publishing and unpublishing are logged as such
+    const publishChanged = updatedPoll.isPublished !== existingPoll.isPublished;
+    await recordAudit({
+      action: publishChanged
+        ? (updatedPoll.isPublished ? 'poll.publish' : 'poll.unpublish')
+        : 'poll.update',
+      actor: auditActor(req),
+      pollId,
+      targetType: 'poll',
+      targetId: pollId,
+      before: pollSnapshot(existingPoll),
+      after: pollSnapshot(updatedPoll)
+    });
+
+    if (publishChanged && updatedPoll.isPublished) {
+      await triggerWebhookEvent('poll_published', updatedPoll, { poll: pollSnapshot(updatedPoll) });
+    }
+
+    const io = req.app.get('io');
+
+    if (question && question !== existingPoll.question) {
+      await publishPollStructure(io, pollId, { type: 'questionChanged' });
+    }
+
+    // Re-apply the results policy to the poll's room
+    const visibilityChanged = resultsVisibility && resultsVisibility !== existingPoll.resultsVisibility;
+    if (visibilityChanged || reopening) {
+      await syncResultsAccess(io, pollId);
+    }
+    if (visibilityChanged) {
+      publishTallyInvalidation(io, pollId, { refresh: true });
+    }
+
+    // Remove viewers who can no longer open the poll from its rooms
+    if (publishChanged || updatedPoll.visibility !== existingPoll.visibility) {
+      await syncRoomAccess(io, pollId);
+    }
+
     res.json({
       message: 'Poll updated successfully',
-      poll: {
+      poll: _hideAnswers({
         ...updatedPoll,
         options: updatedPoll.options.map(option => ({
           ...option,
           voteCount: option._count.votes
         }))
-      }
+      }, req.user)
     });
   } catch (error) {
-    console.error('Update poll error:', error);
+    logger.error('Update poll error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// Delete poll
-export const deletePoll = async (req, res) => {
+// Unpublish any poll (moderators and admins)
+export const unpublishPoll = async (req, res) => {
   try {
     const { pollId } = req.params;
 
-    // Check if poll exists and belongs to user
     const existingPoll = await prisma.poll.findUnique({
       where: { id: pollId }
     });
@@ -248,7 +473,63 @@ export const deletePoll = async (req, res) => {
       return res.status(404).json({ error: 'Poll not found' });
     }
 
-    if (existingPoll.userId !== req.user.id) {
+    if (!can(req.user, 'moderate', existingPoll)) {
+      return res.status(403).json({ error: 'Not authorized to moderate this poll' });
+    }
+
+    const poll = await prisma.poll.update({
+      where: { id: pollId },
+      data: { isPublished: false }
+    });
+
+    await recordAudit({
+      action: 'poll.unpublish',
+      actor: auditActor(req),
+      pollId,
+      targetType: 'poll',
+      targetId: pollId,
+      before: pollSnapshot(existingPoll),
+      after: pollSnapshot(poll)
+    });
+
+    await syncRoomAccess(req.app.get('io'), pollId);
+
+    res.json({
+      message: 'Poll unpublished successfully',
+      poll
+    });
+  } catch (error) {
+    logger.error('Unpublish poll error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Delete poll (owner, or moderators and admins)
+export const deletePoll = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+
+    // Check if poll exists and belongs to user. Its options and vote counts
+    // go into the audit log, since the cascade removes them for good.
+    const existingPoll = await prisma.poll.findUnique({
+      where: { id: pollId },
+      include: {
+        options: {
+          orderBy: { position: 'asc' },
+          include: {
+            _count: {
+              select: { votes: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!existingPoll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!can(req.user, 'delete', existingPoll)) {
       return res.status(403).json({ error: 'Not authorized to delete this poll' });
     }
 
@@ -257,9 +538,228 @@ export const deletePoll = async (req, res) => {
       where: { id: pollId }
     });
 
+    unschedulePoll(pollId);
+    publishTallyInvalidation(req.app.get('io'), pollId);
+
+    await recordAudit({
+      action: 'poll.delete',
+      actor: auditActor(req),
+      pollId,
+      targetType: 'poll',
+      targetId: pollId,
+      before: { ...pollSnapshot(existingPoll), ownerId: existingPoll.userId }
+    });
+
+    await triggerWebhookEvent('poll_deleted', existingPoll, { poll: pollSnapshot(existingPoll) });
+
     res.json({ message: 'Poll deleted successfully' });
   } catch (error) {
-    console.error('Delete poll error:', error);
+    logger.error('Delete poll error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Create or rotate a poll's share link. Rotating invalidates the old link
+// and every guest session issued through it.
+export const sharePoll = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+
+    const existingPoll = await prisma.poll.findUnique({
+      where: { id: pollId }
+    });
+
+    if (!existingPoll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!can(req.user, 'manage', existingPoll)) {
+      return res.status(403).json({ error: 'Not authorized to share this poll' });
+    }
+
+    if (existingPoll.visibility === 'restricted') {
+      return res.status(409).json({ error: 'Restricted polls cannot be shared by link' });
+    }
+
+    const { shareToken } = await prisma.poll.update({
+      where: { id: pollId },
+      data: { shareToken: crypto.randomBytes(24).toString('base64url') },
+      select: { shareToken: true }
+    });
+
+    await recordAudit({
+      action: 'poll.share',
+      actor: auditActor(req),
+      pollId,
+      targetType: 'poll',
+      targetId: pollId,
+      after: { rotated: Boolean(existingPoll.shareToken) }
+    });
+
+    res.json({
+      message: 'Share link created successfully',
+      shareToken
+    });
+  } catch (error) {
+    logger.error('Share poll error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Disable a poll's share link
+export const unsharePoll = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+
+    const existingPoll = await prisma.poll.findUnique({
+      where: { id: pollId }
+    });
+
+    if (!existingPoll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    if (!can(req.user, 'manage', existingPoll)) {
+      return res.status(403).json({ error: 'Not authorized to share this poll' });
+    }
+
+    await prisma.poll.update({
+      where: { id: pollId },
+      data: { shareToken: null }
+    });
+
+    await recordAudit({
+      action: 'poll.unshare',
+      actor: auditActor(req),
+      pollId,
+      targetType: 'poll',
+      targetId: pollId
+    });
+
+    res.json({ message: 'Share link disabled successfully' });
+  } catch (error) {
+    logger.error('Unshare poll error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Find a published poll by its share token. Restricted polls have no
+// share link; the visibility check also covers links made before.
+const _findSharedPoll = (shareToken) => prisma.poll.findFirst({
+  where: { shareToken, isPublished: true, visibility: { not: 'restricted' } },
+  include: {
+    options: {
+      orderBy: { position: 'asc' },
+      include: {
+        _count: {
+          select: { votes: true }
+        }
+      }
+    },
+    user: {
+      select: { id: true, name: true }
+    }
+  }
+});
+
+// Get a poll through its share link (no account required)
+export const getSharedPoll = async (req, res) => {
+  try {
+    const poll = await _findSharedPoll(req.params.shareToken);
+
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const { shareToken, ...publicPoll } = poll;
+
+    // Share-link visitors have no account, so they count as not having voted
+    const [visiblePoll] = await _hideResults([_hideAnswers({
+      ...publicPoll,
+      options: poll.options.map(option => ({
+        ...option,
+        voteCount: option._count.votes
+      }))
+    })]);
+
+    res.json({ poll: visiblePoll });
+  } catch (error) {
+    logger.error('Get shared poll error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Guests are recognised by a random device token kept in a long-lived
+// cookie, so that asking for another guest session from the same browser
+// returns the one that has already voted. Only its hash is stored.
+const GUEST_DEVICE_COOKIE = 'guestDevice';
+const GUEST_DEVICE_PATTERN = /^[\w-]{43}$/;
+
+const _hashDeviceToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const _readDeviceToken = (req) => {
+  const entry = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${GUEST_DEVICE_COOKIE}=`));
+  const token = entry && entry.slice(GUEST_DEVICE_COOKIE.length + 1);
+
+  return token && GUEST_DEVICE_PATTERN.test(token) ? token : null;
+};
+
+// Start an anonymous guest session for a shared poll, or resume the one this
+// browser already has. The returned token works on the vote routes and the
+// socket handshake for this poll only.
+export const createGuestSession = async (req, res) => {
+  try {
+    const poll = await _findSharedPoll(req.params.shareToken);
+
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const existingToken = _readDeviceToken(req);
+    const deviceToken = existingToken || crypto.randomBytes(32).toString('base64url');
+    const deviceHash = _hashDeviceToken(deviceToken);
+
+    const existing = existingToken && await prisma.guestSession.findUnique({
+      where: { pollId_deviceHash: { pollId: poll.id, deviceHash } }
+    });
+
+    const guestSession = existing || await prisma.guestSession.upsert({
+      where: { pollId_deviceHash: { pollId: poll.id, deviceHash } },
+      create: { pollId: poll.id, deviceHash },
+      update: {}
+    });
+
+    res.cookie(GUEST_DEVICE_COOKIE, deviceToken, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: '/api/polls/shared',
+      maxAge: 365 * 24 * 60 * 60 * 1000
+    });
+
+    const token = jwt.sign(
+      {
+        guestSessionId: guestSession.id,
+        pollId: poll.id,
+        shareToken: poll.shareToken
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: '24h' }
+    );
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Guest session resumed' : 'Guest session created successfully',
+      guestSession: {
+        id: guestSession.id,
+        pollId: poll.id
+      },
+      token
+    });
+  } catch (error) {
+    logger.error('Create guest session error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-};
\ No newline at end of file
+};
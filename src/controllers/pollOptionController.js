@@ -0,0 +1,365 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/pollPolicy.js';
+import { publishPollStructure } from '../websocket/pollUpdates.js';
+import { MAX_OPTIONS, isSingleChoice } from '../validation/pollSchemas.js';
+import { auditActor, recordAudit } from '../services/auditLog.js';
+import { checkPollClosed, lockPoll } from '../services/voteService.js';
+
+// Rules for editing the options of a poll:
+// - closed polls cannot be edited
+// - options can always be added (up to MAX_OPTIONS) and reordered
+// - renaming or removing an option somebody voted for requires
+//   discardVotes=true, which withdraws the whole ballot of every affected
+//   voter so they can vote again
+// - a poll keeps at least two options
+// - a quiz's correct option cannot be renamed or removed
+// Renames and removals run under the vote service's poll lock, and check
+// the poll again once they hold it, so no ballot is cast in between.
+
+const optionSelect = { id: true, text: true, position: true };
+
+const editablePollInclude = {
+  options: {
+    select: { ...optionSelect, isCorrect: true },
+    orderBy: { position: 'asc' }
+  }
+};
+
+// Load a poll the user may edit. Returns { poll } or { status, error }.
+const _findEditablePoll = async (user, pollId) => {
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    include: editablePollInclude
+  });
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  if (!can(user, 'update', poll)) {
+    return { status: 403, error: 'Not authorized to edit this poll' };
+  }
+
+  const closedError = checkPollClosed(poll);
+  if (closedError) {
+    return closedError;
+  }
+
+  return { poll };
+};
+
+// Lock the poll inside a transaction and load it again, so the checks that
+// follow see every ballot and edit committed before. Returns { poll } or
+// { status, error }.
+const _lockEditablePoll = async (tx, pollId) => {
+  await lockPoll(tx, pollId);
+
+  const poll = await tx.poll.findUnique({
+    where: { id: pollId },
+    include: editablePollInclude
+  });
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  return checkPollClosed(poll) || { poll };
+};
+
+// Option texts are unique within a poll, ignoring case
+const _isDuplicate = (poll, text, exceptOptionId) => poll.options.some(option =>
+  option.id !== exceptOptionId && option.text.toLowerCase() === text.toLowerCase()
+);
+
+// Delete every ballot that includes the option. Call with the poll locked.
+// Returns the number of voters affected, or null if there were votes and
+// discarding wasn't confirmed.
+const _discardBallots = async (tx, pollId, optionId, discardVotes) => {
+  const voters = await tx.vote.findMany({
+    where: { pollOptionId: optionId },
+    select: { userId: true, guestSessionId: true }
+  });
+
+  if (voters.length === 0) {
+    return 0;
+  }
+
+  if (!discardVotes) {
+    return null;
+  }
+
+  await tx.vote.deleteMany({
+    where: {
+      pollOption: { pollId },
+      OR: [
+        { userId: { in: voters.map(vote => vote.userId).filter(Boolean) } },
+        { guestSessionId: { in: voters.map(vote => vote.guestSessionId).filter(Boolean) } }
+      ]
+    }
+  });
+
+  await tx.poll.update({
+    where: { id: pollId },
+    data: { voterCount: { decrement: voters.length } }
+  });
+
+  return voters.length;
+};
+
+// Record an option change in the audit log
+const _auditOption = (req, action, pollId, { targetId = null, before, after }) => recordAudit({
+  action,
+  actor: auditActor(req),
+  pollId,
+  targetType: 'option',
+  targetId,
+  before,
+  after
+});
+
+const VOTES_EXIST = 'This option has votes; resend with discardVotes=true to discard the affected ballots';
+
+// Renaming or removing it would leave the quiz without its answer
+const _quizAnswerError = (poll, option) => (poll.type === 'quiz' && option.isCorrect
+  ? { status: 409, error: 'The correct option of a quiz cannot be renamed or removed' }
+  : null);
+
+// Rename or remove an option with the poll locked. `check` may refuse the
+// change for the poll and option as they are under the lock; `apply` makes
+// it once the affected ballots are discarded. Resolves to { poll, option,
+// discardedBallots } or { status, error }.
+const _editLockedOption = (pollId, optionId, discardVotes, { check, apply }) => prisma.$transaction(async (tx) => {
+  const { poll, status, error } = await _lockEditablePoll(tx, pollId);
+
+  if (error) {
+    return { status, error };
+  }
+
+  const option = poll.options.find(entry => entry.id === optionId);
+  if (!option) {
+    return { status: 404, error: 'Poll option not found' };
+  }
+
+  const refusal = check(poll, option);
+  if (refusal) {
+    return refusal;
+  }
+
+  const discardedBallots = await _discardBallots(tx, pollId, optionId, discardVotes);
+  if (discardedBallots === null) {
+    return { status: 409, error: VOTES_EXIST };
+  }
+
+  await apply(tx, poll);
+  return { poll, option, discardedBallots };
+});
+
+// Add an option at the end of the poll
+export const addOption = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const { text } = req.body;
+
+    const { poll, status, error } = await _findEditablePoll(req.user, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (poll.options.length >= MAX_OPTIONS) {
+      return res.status(400).json({ error: `Polls can have at most ${MAX_OPTIONS} options` });
+    }
+
+    if (_isDuplicate(poll, text)) {
+      return res.status(409).json({ error: 'Poll already has this option' });
+    }
+
+    const lastOption = poll.options[poll.options.length - 1];
+    const option = await prisma.pollOption.create({
+      data: {
+        text,
+        position: lastOption ? lastOption.position + 1 : 0,
+        pollId
+      },
+      select: optionSelect
+    });
+
+    await _auditOption(req, 'option.add', pollId, { targetId: option.id, after: option });
+
+    const updatedPoll = await publishPollStructure(req.app.get('io'), pollId, {
+      type: 'optionAdded',
+      optionId: option.id
+    });
+
+    res.status(201).json({
+      message: 'Option added successfully',
+      option,
+      poll: updatedPoll
+    });
+  } catch (error) {
+    logger.error('Add option error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Rename an option
+export const renameOption = async (req, res) => {
+  try {
+    const { pollId, optionId } = req.params;
+    const { text, discardVotes } = req.body;
+
+    const { status, error } = await _findEditablePoll(req.user, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await _editLockedOption(pollId, optionId, discardVotes, {
+      check: (poll, option) => _quizAnswerError(poll, option) || (_isDuplicate(poll, text, optionId)
+        ? { status: 409, error: 'Poll already has this option' }
+        : null),
+      apply: (tx) => tx.pollOption.update({
+        where: { id: optionId },
+        data: { text }
+      })
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { option: existingOption, discardedBallots } = result;
+
+    await _auditOption(req, 'option.rename', pollId, {
+      targetId: optionId,
+      before: existingOption,
+      after: { ...existingOption, text, discardedBallots }
+    });
+
+    const updatedPoll = await publishPollStructure(req.app.get('io'), pollId, {
+      type: 'optionRenamed',
+      optionId,
+      discardedBallots
+    });
+
+    res.json({
+      message: 'Option renamed successfully',
+      discardedBallots,
+      poll: updatedPoll
+    });
+  } catch (error) {
+    logger.error('Rename option error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Remove an option
+export const removeOption = async (req, res) => {
+  try {
+    const { pollId, optionId } = req.params;
+    const { discardVotes } = req.query;
+
+    const { status, error } = await _findEditablePoll(req.user, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await _editLockedOption(pollId, optionId, discardVotes, {
+      check: (poll, option) => _quizAnswerError(poll, option) || (poll.options.length - 1 < 2
+        ? { status: 400, error: 'Polls need at least 2 options' }
+        : null),
+      apply: async (tx, poll) => {
+        const remaining = poll.options.length - 1;
+
+        await tx.pollOption.delete({ where: { id: optionId } });
+
+        // Keep the selection bounds satisfiable with fewer options
+        if (!isSingleChoice(poll.type) && poll.maxSelections > remaining) {
+          await tx.poll.update({
+            where: { id: pollId },
+            data: {
+              maxSelections: remaining,
+              minSelections: Math.min(poll.minSelections, remaining)
+            }
+          });
+        }
+      }
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { option: existingOption, discardedBallots } = result;
+
+    await _auditOption(req, 'option.remove', pollId, {
+      targetId: optionId,
+      before: existingOption,
+      after: { discardedBallots }
+    });
+
+    const updatedPoll = await publishPollStructure(req.app.get('io'), pollId, {
+      type: 'optionRemoved',
+      optionId,
+      discardedBallots
+    });
+
+    res.json({
+      message: 'Option removed successfully',
+      discardedBallots,
+      poll: updatedPoll
+    });
+  } catch (error) {
+    logger.error('Remove option error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Set the display order of all options. Votes are not affected.
+export const reorderOptions = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const { optionIds } = req.body;
+
+    const { poll, status, error } = await _findEditablePoll(req.user, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const currentIds = new Set(poll.options.map(option => option.id));
+    if (optionIds.length !== currentIds.size ||
+        new Set(optionIds).size !== optionIds.length ||
+        optionIds.some(optionId => !currentIds.has(optionId))) {
+      return res.status(400).json({
+        error: 'optionIds must list every option of the poll exactly once'
+      });
+    }
+
+    await prisma.$transaction(optionIds.map((optionId, position) =>
+      prisma.pollOption.update({
+        where: { id: optionId },
+        data: { position }
+      })
+    ));
+
+    await _auditOption(req, 'option.reorder', pollId, {
+      before: { optionIds: poll.options.map(option => option.id) },
+      after: { optionIds }
+    });
+
+    const updatedPoll = await publishPollStructure(req.app.get('io'), pollId, {
+      type: 'optionsReordered'
+    });
+
+    res.json({
+      message: 'Options reordered successfully',
+      poll: updatedPoll
+    });
+  } catch (error) {
+    logger.error('Reorder options error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
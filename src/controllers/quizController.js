@@ -0,0 +1,431 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/quizSessionPolicy.js';
+import { can as canOnPoll } from '../policies/pollPolicy.js';
+import { paginate } from '../utils/pagination.js';
+import { closePoll } from '../services/pollScheduler.js';
+import { auditActor, recordAudit } from '../services/auditLog.js';
+import {
+  computeLeaderboard,
+  findViewableSession,
+  publishLeaderboard
+} from '../services/quizLeaderboard.js';
+import { publishTallyInvalidation } from '../websocket/pollUpdates.js';
+import { validationErrorBody } from '../validation/common.js';
+
+// Quiz polls and quiz sessions. A quiz poll's correct option stays hidden
+// from everyone but its owner until the owner reveals it, which also closes
+// the poll. A session strings quiz polls together into one leaderboard,
+// pushed to the session's room after every reveal.
+
+const sessionInclude = {
+  user: {
+    select: { id: true, name: true }
+  },
+  _count: {
+    select: { polls: true }
+  }
+};
+
+// What participants see of a session's questions
+const questionSelect = {
+  id: true,
+  question: true,
+  isPublished: true,
+  isClosed: true,
+  answerTimeLimit: true,
+  answerRevealedAt: true,
+  quizPosition: true
+};
+
+const _formatSession = ({ user, userId, _count, ...session }) => ({
+  ...session,
+  host: user,
+  questionCount: _count.polls
+});
+
+const _voter = (req) => ({ user: req.user, guest: req.guest });
+
+// Load a session the user hosts (or, for `delete`, moderates).
+// Returns { session } or { status, error }.
+const _findManagedSession = async (user, quizSessionId, action = 'manage') => {
+  const session = await prisma.quizSession.findUnique({
+    where: { id: quizSessionId },
+    include: sessionInclude
+  });
+
+  if (!session || !(can(user, 'view', session) || can(user, action, session))) {
+    return { status: 404, error: 'Quiz session not found' };
+  }
+
+  if (!can(user, action, session)) {
+    return { status: 403, error: 'Not authorized to change this quiz session' };
+  }
+
+  return { session };
+};
+
+// Check that `pollIds` are distinct quiz polls of the user. Returns
+// validation details for the ones that are not.
+const _checkQuestions = async (userId, pollIds) => {
+  const polls = await prisma.poll.findMany({
+    where: { id: { in: pollIds }, userId, type: 'quiz' },
+    select: { id: true }
+  });
+  const found = new Set(polls.map(poll => poll.id));
+
+  return pollIds
+    .map((pollId, index) => {
+      if (pollIds.indexOf(pollId) !== index) {
+        return { field: `pollIds.${index}`, message: 'Duplicate question', code: 'duplicate_question' };
+      }
+
+      return found.has(pollId)
+        ? null
+        : { field: `pollIds.${index}`, message: 'Must be one of your quiz polls', code: 'invalid_question' };
+    })
+    .filter(Boolean)
+    .map(detail => ({ location: 'body', ...detail }));
+};
+
+// Make `pollIds` the session's questions, in that order. Polls leave any
+// session they were in before.
+const _setQuestions = (quizSessionId, pollIds) => prisma.$transaction([
+  prisma.poll.updateMany({
+    where: { quizSessionId },
+    data: { quizSessionId: null, quizPosition: null }
+  }),
+  ...pollIds.map((pollId, quizPosition) => prisma.poll.update({
+    where: { id: pollId },
+    data: { quizSessionId, quizPosition }
+  }))
+]);
+
+// Get the quiz sessions the user hosts
+export const getQuizSessions = async (req, res) => {
+  try {
+    const { cursor, limit, q } = req.query;
+
+    const { items: sessions, pagination } = await paginate(prisma.quizSession, {
+      where: {
+        userId: req.user.id,
+        ...(q && { title: { contains: q, mode: 'insensitive' } })
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      cursor,
+      limit,
+      include: sessionInclude
+    });
+
+    res.json({ quizSessions: sessions.map(_formatSession), pagination });
+  } catch (error) {
+    logger.error('Get quiz sessions error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Create a quiz session, optionally with its questions
+export const createQuizSession = async (req, res) => {
+  try {
+    const { title, description, pollIds } = req.body;
+
+    const details = await _checkQuestions(req.user.id, pollIds);
+
+    if (details.length > 0) {
+      return res.status(400).json(validationErrorBody(details));
+    }
+
+    const { id } = await prisma.quizSession.create({
+      data: { title, description, userId: req.user.id },
+      select: { id: true }
+    });
+
+    await _setQuestions(id, pollIds);
+
+    const session = await prisma.quizSession.findUnique({
+      where: { id },
+      include: sessionInclude
+    });
+
+    res.status(201).json({
+      message: 'Quiz session created successfully',
+      quizSession: _formatSession(session)
+    });
+  } catch (error) {
+    logger.error('Create quiz session error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get a quiz session and its questions. Participants only see the
+// published ones.
+export const getQuizSessionById = async (req, res) => {
+  try {
+    const { quizSessionId } = req.params;
+
+    const { status, error } = await findViewableSession(_voter(req), quizSessionId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const session = await prisma.quizSession.findUnique({
+      where: { id: quizSessionId },
+      include: sessionInclude
+    });
+    const isHost = can(req.user, 'manage', session);
+
+    const questions = await prisma.poll.findMany({
+      where: {
+        quizSessionId,
+        ...(!isHost && { isPublished: true })
+      },
+      select: questionSelect,
+      orderBy: [{ quizPosition: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({
+      quizSession: {
+        ..._formatSession(session),
+        questions
+      }
+    });
+  } catch (error) {
+    logger.error('Get quiz session error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Rename a session or replace its questions (host only)
+export const updateQuizSession = async (req, res) => {
+  try {
+    const { quizSessionId } = req.params;
+    const { title, description, pollIds } = req.body;
+
+    const { status, error } = await _findManagedSession(req.user, quizSessionId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (pollIds) {
+      const details = await _checkQuestions(req.user.id, pollIds);
+
+      if (details.length > 0) {
+        return res.status(400).json(validationErrorBody(details));
+      }
+    }
+
+    const session = await prisma.quizSession.update({
+      where: { id: quizSessionId },
+      data: {
+        ...(title && { title }),
+        ...(typeof description !== 'undefined' && { description })
+      },
+      select: { id: true }
+    });
+
+    if (pollIds) {
+      await _setQuestions(session.id, pollIds);
+      await publishLeaderboard(req.app.get('io'), quizSessionId, { type: 'questionsChanged' });
+    }
+
+    res.json({
+      message: 'Quiz session updated successfully',
+      quizSession: _formatSession(await prisma.quizSession.findUnique({
+        where: { id: quizSessionId },
+        include: sessionInclude
+      }))
+    });
+  } catch (error) {
+    logger.error('Update quiz session error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Delete a session (host, or moderators and admins). Its polls are kept.
+export const deleteQuizSession = async (req, res) => {
+  try {
+    const { quizSessionId } = req.params;
+
+    const { status, error } = await _findManagedSession(req.user, quizSessionId, 'delete');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await prisma.$transaction([
+      prisma.poll.updateMany({
+        where: { quizSessionId },
+        data: { quizSessionId: null, quizPosition: null }
+      }),
+      prisma.quizSession.delete({ where: { id: quizSessionId } })
+    ]);
+
+    res.json({ message: 'Quiz session deleted successfully' });
+  } catch (error) {
+    logger.error('Delete quiz session error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get a session's leaderboard over its revealed questions
+export const getLeaderboard = async (req, res) => {
+  try {
+    const { quizSessionId } = req.params;
+
+    const { status, error } = await findViewableSession(_voter(req), quizSessionId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const leaderboard = await computeLeaderboard(quizSessionId, { limit: req.query.limit });
+
+    res.json({ leaderboard });
+  } catch (error) {
+    logger.error('Get leaderboard error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Load a quiz poll the user owns, with its options.
+// Returns { poll } or { status, error }.
+const _findOwnQuiz = async (user, pollId) => {
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    include: {
+      options: {
+        select: { id: true, text: true, isCorrect: true },
+        orderBy: { position: 'asc' }
+      }
+    }
+  });
+
+  if (!poll) {
+    return { status: 404, error: 'Poll not found' };
+  }
+
+  if (!canOnPoll(user, 'update', poll)) {
+    return { status: 403, error: 'Not authorized to update this poll' };
+  }
+
+  if (poll.type !== 'quiz') {
+    return { status: 400, error: 'Only quiz polls have a correct answer' };
+  }
+
+  return { poll };
+};
+
+// Mark the correct option of a quiz poll (owner, before the reveal)
+export const setCorrectOption = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+    const { optionId } = req.body;
+
+    const { poll, status, error } = await _findOwnQuiz(req.user, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (poll.answerRevealedAt) {
+      return res.status(409).json({ error: 'The answer has already been revealed' });
+    }
+
+    if (!poll.options.some(option => option.id === optionId)) {
+      return res.status(404).json({ error: 'Poll option not found' });
+    }
+
+    const previous = poll.options.find(option => option.isCorrect);
+
+    await prisma.$transaction([
+      prisma.pollOption.updateMany({
+        where: { pollId },
+        data: { isCorrect: false }
+      }),
+      prisma.pollOption.update({
+        where: { id: optionId },
+        data: { isCorrect: true }
+      })
+    ]);
+
+    await recordAudit({
+      action: 'poll.update',
+      actor: auditActor(req),
+      pollId,
+      targetType: 'poll',
+      targetId: pollId,
+      before: { correctOptionId: previous ? previous.id : null },
+      after: { correctOptionId: optionId }
+    });
+
+    res.json({
+      message: 'Correct option updated successfully',
+      correctOptionId: optionId
+    });
+  } catch (error) {
+    logger.error('Set correct option error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Reveal a quiz poll's correct option (owner). Closes the poll first, then
+// tells its room the answer and pushes the updated leaderboard to its session.
+export const revealAnswer = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+
+    const { poll, status, error } = await _findOwnQuiz(req.user, pollId);
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    if (poll.answerRevealedAt) {
+      return res.status(409).json({ error: 'The answer has already been revealed' });
+    }
+
+    const correctOptionIds = poll.options.filter(option => option.isCorrect).map(option => option.id);
+
+    if (correctOptionIds.length === 0) {
+      return res.status(409).json({ error: 'Mark the correct option before revealing it' });
+    }
+
+    await closePoll(pollId);
+
+    const { answerRevealedAt } = await prisma.poll.update({
+      where: { id: pollId },
+      data: { answerRevealedAt: new Date() },
+      select: { answerRevealedAt: true }
+    });
+
+    await recordAudit({
+      action: 'poll.reveal',
+      actor: auditActor(req),
+      pollId,
+      targetType: 'poll',
+      targetId: pollId,
+      after: { correctOptionIds }
+    });
+
+    // Results carry isCorrect from now on
+    const io = req.app.get('io');
+    publishTallyInvalidation(io, pollId, { refresh: true });
+    io.to(`poll-${pollId}`).emit('answerRevealed', { pollId, correctOptionIds, answerRevealedAt });
+
+    const leaderboard = poll.quizSessionId
+      ? await publishLeaderboard(io, poll.quizSessionId, { type: 'answerRevealed', pollId })
+      : null;
+
+    res.json({
+      message: 'Answer revealed successfully',
+      correctOptionIds,
+      answerRevealedAt,
+      ...(leaderboard && { leaderboard })
+    });
+  } catch (error) {
+    logger.error('Reveal answer error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -0,0 +1,295 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/templatePolicy.js';
+import { paginate } from '../utils/pagination.js';
+import { listPlaceholders, fillPlaceholders } from '../utils/placeholders.js';
+import { createPollWithOptions } from '../services/pollCreation.js';
+import { findAccessError } from '../services/pollAccess.js';
+import { auditActor } from '../services/auditLog.js';
+import { createTemplateBody } from '../validation/templateSchemas.js';
+import { createPollBody, isSingleChoice } from '../validation/pollSchemas.js';
+import { issueDetails, validationErrorBody } from '../validation/common.js';
+
+const templateInclude = {
+  user: {
+    select: { id: true, name: true }
+  }
+};
+
+// Fields a template stores besides its name, description and sharing
+const contentFields = [
+  'question',
+  'options',
+  'type',
+  'minSelections',
+  'maxSelections',
+  'allowVoteChange',
+  'resultsVisibility'
+];
+
+const _formatTemplate = ({ user, userId, ...template }) => ({
+  ...template,
+  owner: user,
+  placeholders: listPlaceholders([template.question, ...template.options])
+});
+
+// Selection bounds are stored as null on single-choice templates, which
+// the request schemas expect to be absent instead
+const _content = (template) => Object.fromEntries(
+  contentFields
+    .filter(field => template[field] !== null && typeof template[field] !== 'undefined')
+    .map(field => [field, template[field]])
+);
+
+// Store selection bounds the way polls do: null on single-choice templates
+const _withBounds = (data) => ({
+  ...data,
+  minSelections: isSingleChoice(data.type) ? null : data.minSelections ?? null,
+  maxSelections: isSingleChoice(data.type) ? null : data.maxSelections ?? null
+});
+
+const _validationError = (res, details) => res.status(400).json(validationErrorBody(details));
+
+// Load a template the user may act on. Returns { template } or { status, error }.
+const _findTemplate = async (user, templateId, action) => {
+  const template = await prisma.pollTemplate.findUnique({
+    where: { id: templateId },
+    include: templateInclude
+  });
+
+  // Other users' personal templates are reported as missing
+  if (!template || !(can(user, 'use', template) || can(user, action, template))) {
+    return { status: 404, error: 'Template not found' };
+  }
+
+  if (!can(user, action, template)) {
+    return { status: 403, error: 'Not authorized to change this template' };
+  }
+
+  return { template };
+};
+
+// Get the user's own templates and/or the shared ones
+export const getTemplates = async (req, res) => {
+  try {
+    const { cursor, limit, scope, q } = req.query;
+
+    const scopes = {
+      all: { OR: [{ userId: req.user.id }, { isShared: true }] },
+      mine: { userId: req.user.id },
+      shared: { isShared: true }
+    };
+
+    const { items: templates, pagination } = await paginate(prisma.pollTemplate, {
+      where: {
+        ...scopes[scope],
+        ...(q && { name: { contains: q, mode: 'insensitive' } })
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      cursor,
+      limit,
+      include: templateInclude
+    });
+
+    res.json({ templates: templates.map(_formatTemplate), pagination });
+  } catch (error) {
+    logger.error('Get templates error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get one template with the placeholders it needs
+export const getTemplateById = async (req, res) => {
+  try {
+    const { template, status, error } = await _findTemplate(req.user, req.params.templateId, 'use');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({ template: _formatTemplate(template) });
+  } catch (error) {
+    logger.error('Get template error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Save a template (body validated by createTemplateBody)
+export const createTemplate = async (req, res) => {
+  try {
+    const template = await prisma.pollTemplate.create({
+      data: {
+        ..._withBounds(req.body),
+        userId: req.user.id
+      },
+      include: templateInclude
+    });
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: _formatTemplate(template)
+    });
+  } catch (error) {
+    logger.error('Create template error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Save an existing poll's question, options and settings as a template
+export const createTemplateFromPoll = async (req, res) => {
+  try {
+    const { pollId } = req.params;
+
+    const poll = await prisma.poll.findUnique({
+      where: { id: pollId },
+      include: {
+        options: {
+          select: { text: true },
+          orderBy: { position: 'asc' }
+        }
+      }
+    });
+
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const accessError = await findAccessError(req.user, poll);
+    if (accessError) {
+      return res.status(accessError.status).json({ error: accessError.error });
+    }
+
+    const template = await prisma.pollTemplate.create({
+      data: {
+        ...req.body,
+        ..._content(poll),
+        options: poll.options.map(option => option.text),
+        userId: req.user.id
+      },
+      include: templateInclude
+    });
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: _formatTemplate(template)
+    });
+  } catch (error) {
+    logger.error('Create template from poll error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Update a template (owner only)
+export const updateTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const { template: existingTemplate, status, error } = await _findTemplate(req.user, templateId, 'update');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    // Check the template as a whole, e.g. selection bounds against options
+    const result = createTemplateBody.safeParse({
+      ..._content(existingTemplate),
+      name: existingTemplate.name,
+      description: existingTemplate.description,
+      isShared: existingTemplate.isShared,
+      ...req.body
+    });
+
+    if (!result.success) {
+      return _validationError(res, issueDetails(result.error, 'body'));
+    }
+
+    const template = await prisma.pollTemplate.update({
+      where: { id: templateId },
+      data: _withBounds(result.data),
+      include: templateInclude
+    });
+
+    res.json({
+      message: 'Template updated successfully',
+      template: _formatTemplate(template)
+    });
+  } catch (error) {
+    logger.error('Update template error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Delete a template (owner, or moderators and admins)
+export const deleteTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const { status, error } = await _findTemplate(req.user, templateId, 'delete');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    await prisma.pollTemplate.delete({
+      where: { id: templateId }
+    });
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    logger.error('Delete template error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Create a poll from a template, filling in its placeholders from `values`
+export const createPollFromTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { values, ...pollSettings } = req.body;
+
+    const { template, status, error } = await _findTemplate(req.user, templateId, 'use');
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const missing = listPlaceholders([template.question, ...template.options])
+      .filter(name => !Object.hasOwn(values, name));
+
+    if (missing.length > 0) {
+      return _validationError(res, missing.map(name => ({
+        location: 'body',
+        field: `values.${name}`,
+        message: 'Required by the template',
+        code: 'missing_placeholder'
+      })));
+    }
+
+    // The filled-in poll must pass the same checks as POST /api/polls,
+    // e.g. for option length and duplicates
+    const content = _content(template);
+    const result = createPollBody.safeParse({
+      ...content,
+      question: fillPlaceholders(template.question, values),
+      options: template.options.map(option => fillPlaceholders(option, values)),
+      ...pollSettings
+    });
+
+    if (!result.success) {
+      return _validationError(res, issueDetails(result.error, 'body'));
+    }
+
+    const poll = await createPollWithOptions(req.user.id, result.data, {
+      actor: auditActor(req),
+      origin: { templateId }
+    });
+
+    res.status(201).json({
+      message: 'Poll created successfully',
+      poll
+    });
+  } catch (error) {
+    logger.error('Create poll from template error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,19 +1,36 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions
+} from '../services/sessionService.js';
+import { paginate } from '../utils/pagination.js';
+import {
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures
+} from '../services/rateLimiter.js';
+import { tooManyRequests } from '../middleware/rateLimit.js';
+import { auditActor, recordAudit } from '../services/auditLog.js';
+import { consumeUserToken, issueUserToken } from '../services/userTokens.js';
+import { claimInvitations } from '../services/invitations.js';
+import {
+  sendPasswordChangedEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} from '../services/mailer.js';
+
+const SALT_ROUNDS = 12;
 
 // Create a new user (Registration)
 export const createUser = async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
-    // Validate input
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        error: 'Name, email, and password are required' 
-      });
-    }
-
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
       where: { email }
@@ -26,8 +43,7 @@ export const createUser = async (req, res) => {
     }
 
     // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     // Create user
     const user = await prisma.user.create({
@@ -40,24 +56,33 @@ export const createUser = async (req, res) => {
         id: true,
         name: true,
         email: true,
+        role: true,
+        emailVerifiedAt: true,
         createdAt: true
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // The account works right away; the address is confirmed separately
+    await sendVerificationEmail(user, await issueUserToken(user.id, 'email_verification'));
+
+    await recordAudit({
+      action: 'user.register',
+      actor: { ...auditActor(req), actorId: user.id },
+      targetType: 'user',
+      targetId: user.id,
+      after: { name: user.name, email: user.email, role: user.role }
+    });
+
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await createSession(user.id);
 
     res.status(201).json({
       message: 'User created successfully',
       user,
-      token
+      ...tokens
     });
   } catch (error) {
-    console.error('Create user error:', error);
+    logger.error('Create user error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -67,11 +92,10 @@ export const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({ 
-        error: 'Email and password are required' 
-      });
+    // Accounts are locked for a while after repeated failed logins
+    const lockedFor = await getLoginLock(email);
+    if (lockedFor) {
+      return tooManyRequests(res, lockedFor, 'Too many failed login attempts, please try again later');
     }
 
     // Find user
@@ -79,34 +103,279 @@ export const loginUser = async (req, res) => {
       where: { email }
     });
 
-    if (!user) {
+    // Verify password. Unknown emails count as failures too, so lockouts
+    // do not reveal which accounts exist.
+    const isValidPassword = user && await bcrypt.compare(password, user.passwordHash);
+    if (!isValidPassword) {
+      await recordLoginFailure(email);
+      await recordAudit({
+        action: 'user.login_failed',
+        actor: auditActor(req),
+        targetType: 'user',
+        targetId: user?.id,
+        after: { email }
+      });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    await clearLoginFailures(email);
+
+    if (user.suspendedAt) {
+      return res.status(403).json({ error: 'Account suspended' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await createSession(user.id);
+
+    // Admit the user to the groups and polls their address was invited to
+    await claimInvitations(user);
+
+    await recordAudit({
+      action: 'user.login',
+      actor: { ...auditActor(req), actorId: user.id },
+      targetType: 'user',
+      targetId: user.id
+    });
 
     res.json({
       message: 'Login successful',
       user: {
         id: user.id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        emailVerifiedAt: user.emailVerifiedAt
+      },
+      ...tokens
+    });
+  } catch (error) {
+    logger.error('Login error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Exchange a refresh token for a new token pair
+export const refreshToken = async (req, res) => {
+  try {
+    const { tokens, status, error } = await refreshSession(req.body.refreshToken, req.app.get('io'));
+
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    logger.error('Refresh token error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Log out of the current session
+export const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.app.get('io'));
+
+    await recordAudit({
+      action: 'user.logout',
+      actor: auditActor(req),
+      targetType: 'user',
+      targetId: req.user.id
+    });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error('Logout error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Log out of every session, e.g. after a token was stolen
+export const logoutAllSessions = async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.id, req.app.get('io'));
+
+    await recordAudit({
+      action: 'user.logout_all',
+      actor: auditActor(req),
+      targetType: 'user',
+      targetId: req.user.id,
+      after: { revokedSessions }
+    });
+
+    res.json({
+      message: 'Logged out of all sessions successfully',
+      revokedSessions
+    });
+  } catch (error) {
+    logger.error('Logout all sessions error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Confirm an email address with the token from the verification email
+export const verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() },
+      select: { id: true, email: true, emailVerifiedAt: true }
+    });
+
+    await recordAudit({
+      action: 'user.verify_email',
+      actor: { ...auditActor(req), actorId: user.id },
+      targetType: 'user',
+      targetId: user.id,
+      after: { email: user.email }
+    });
+
+    await claimInvitations(user);
+
+    res.json({
+      message: 'Email verified successfully',
+      emailVerifiedAt: user.emailVerifiedAt
+    });
+  } catch (error) {
+    logger.error('Verify email error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Send a new verification email, voiding the previous link
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(409).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user, await issueUserToken(req.user.id, 'email_verification'));
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    logger.error('Resend verification email error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Email a password reset link. Responds the same whether or not the
+// address belongs to an account, so it cannot be used to find accounts.
+export const forgotPassword = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email },
+      select: { id: true, name: true, email: true, suspendedAt: true }
+    });
+
+    // Sent in the background: waiting for the mail service would let the
+    // response time tell which addresses have accounts
+    if (user && !user.suspendedAt) {
+      issueUserToken(user.id, 'password_reset')
+        .then(token => sendPasswordResetEmail(user, token))
+        .catch(error => logger.error('Password reset email error', { userId: user.id, error }));
+    }
+
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    logger.error('Forgot password error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Set a new password with the token from a reset email. Every session is
+// signed out, and since the link was emailed the address counts as verified.
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeUserToken(token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { emailVerifiedAt: true }
+    });
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        passwordHash: await bcrypt.hash(password, SALT_ROUNDS),
+        ...(!existingUser.emailVerifiedAt && { emailVerifiedAt: new Date() })
       },
-      token
+      select: { id: true, name: true, email: true, emailVerifiedAt: true }
+    });
+
+    const revokedSessions = await revokeAllSessions(user.id, req.app.get('io'));
+    await clearLoginFailures(user.email);
+
+    await recordAudit({
+      action: 'user.reset_password',
+      actor: { ...auditActor(req), actorId: user.id },
+      targetType: 'user',
+      targetId: user.id
+    });
+
+    await claimInvitations(user);
+    await sendPasswordChangedEmail(user);
+
+    res.json({
+      message: 'Password reset successfully',
+      revokedSessions
+    });
+  } catch (error) {
+    logger.error('Reset password error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Change the password of the signed-in user. Their other sessions are
+// signed out; the current one stays.
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const { passwordHash } = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { passwordHash: true }
+    });
+
+    if (!(await bcrypt.compare(currentPassword, passwordHash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { passwordHash: await bcrypt.hash(newPassword, SALT_ROUNDS) }
+    });
+
+    const revokedSessions = await revokeOtherSessions(req.user.id, req.sessionId, req.app.get('io'));
+
+    await recordAudit({
+      action: 'user.change_password',
+      actor: auditActor(req),
+      targetType: 'user',
+      targetId: req.user.id
+    });
+
+    await sendPasswordChangedEmail(req.user);
+
+    res.json({
+      message: 'Password changed successfully',
+      revokedSessions
     });
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error('Change password error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -120,6 +389,8 @@ export const getUserProfile = async (req, res) => {
         id: true,
         name: true,
         email: true,
+        role: true,
+        emailVerifiedAt: true,
         createdAt: true,
         _count: {
           select: {
@@ -132,19 +403,39 @@ export const getUserProfile = async (req, res) => {
 
     res.json({ user });
   } catch (error) {
-    console.error('Get user profile error:', error);
+    logger.error('Get user profile error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// Get all users (for admin purposes)
+// Get all users (admins only)
 export const getAllUsers = async (req, res) => {
   try {
-    const users = await prisma.user.findMany({
+    const { cursor, limit, q, role, suspended } = req.query;
+
+    const { items: users, pagination } = await paginate(prisma.user, {
+      where: {
+        ...(q && {
+          OR: [
+            { name: { contains: q, mode: 'insensitive' } },
+            { email: { contains: q, mode: 'insensitive' } }
+          ]
+        }),
+        ...(role && { role }),
+        ...(typeof suspended === 'boolean' && {
+          suspendedAt: suspended ? { not: null } : null
+        })
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      cursor,
+      limit,
       select: {
         id: true,
         name: true,
         email: true,
+        role: true,
+        suspendedAt: true,
+        emailVerifiedAt: true,
         createdAt: true,
         _count: {
           select: {
@@ -152,15 +443,12 @@ export const getAllUsers = async (req, res) => {
             votes: true
           }
         }
-      },
-      orderBy: {
-        createdAt: 'desc'
       }
     });
 
-    res.json({ users });
+    res.json({ users, pagination });
   } catch (error) {
-    console.error('Get all users error:', error);
+    logger.error('Get all users error', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
\ No newline at end of file
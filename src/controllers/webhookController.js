@@ -0,0 +1,275 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { can } from '../policies/pollPolicy.js';
+import { paginate } from '../utils/pagination.js';
+import { MAX_WEBHOOKS } from '../validation/webhookSchemas.js';
+import { validationErrorBody } from '../validation/common.js';
+import {
+  checkWebhookUrl,
+  generateWebhookSecret,
+  sendPing,
+  redeliver
+} from '../services/webhookDelivery.js';
+
+// The signing secret is only returned when it is created or rotated
+const webhookSelect = {
+  id: true,
+  url: true,
+  description: true,
+  events: true,
+  isActive: true,
+  pollId: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Refuse URLs that point into the server's own network
+const _urlErrorBody = async (url) => {
+  const message = await checkWebhookUrl(url);
+  return message && validationErrorBody([
+    { location: 'body', field: 'url', message, code: 'private_address' }
+  ]);
+};
+
+const deliverySelect = {
+  id: true,
+  event: true,
+  pollId: true,
+  payload: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  lastAttemptAt: true,
+  lastStatusCode: true,
+  lastError: true,
+  deliveredAt: true,
+  redeliveryOfId: true,
+  createdAt: true
+};
+
+// Load one of the user's webhooks. Other users' webhooks are reported as
+// missing rather than forbidden.
+const _findOwnWebhook = (user, webhookId) => prisma.webhook.findFirst({
+  where: { id: webhookId, userId: user.id },
+  select: webhookSelect
+});
+
+// Get the user's webhooks
+export const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      where: { userId: req.user.id },
+      select: webhookSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ webhooks });
+  } catch (error) {
+    logger.error('Get webhooks error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Register a webhook for all of the user's polls, or for one of them
+export const createWebhook = async (req, res) => {
+  try {
+    const { url, events, pollId, description } = req.body;
+
+    const urlError = await _urlErrorBody(url);
+    if (urlError) {
+      return res.status(400).json(urlError);
+    }
+
+    if (pollId) {
+      const poll = await prisma.poll.findUnique({
+        where: { id: pollId },
+        select: { id: true, userId: true }
+      });
+
+      if (!poll) {
+        return res.status(404).json({ error: 'Poll not found' });
+      }
+
+      if (!can(req.user, 'manage', poll)) {
+        return res.status(403).json({ error: 'Not authorized to add webhooks to this poll' });
+      }
+    }
+
+    const count = await prisma.webhook.count({ where: { userId: req.user.id } });
+    if (count >= MAX_WEBHOOKS) {
+      return res.status(400).json({ error: `Users can have at most ${MAX_WEBHOOKS} webhooks` });
+    }
+
+    const webhook = await prisma.webhook.create({
+      data: {
+        url,
+        events,
+        pollId,
+        description,
+        secret: generateWebhookSecret(),
+        userId: req.user.id
+      },
+      select: { ...webhookSelect, secret: true }
+    });
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook
+    });
+  } catch (error) {
+    logger.error('Create webhook error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Change a webhook's URL, events or description, pause it, or rotate its secret
+export const updateWebhook = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const { url, events, description, isActive, rotateSecret } = req.body;
+
+    const existingWebhook = await _findOwnWebhook(req.user, webhookId);
+
+    if (!existingWebhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const urlError = url && await _urlErrorBody(url);
+    if (urlError) {
+      return res.status(400).json(urlError);
+    }
+
+    const webhook = await prisma.webhook.update({
+      where: { id: webhookId },
+      data: {
+        ...(url && { url }),
+        ...(events && { events }),
+        ...(typeof description !== 'undefined' && { description }),
+        ...(typeof isActive !== 'undefined' && { isActive }),
+        ...(rotateSecret && { secret: generateWebhookSecret() })
+      },
+      select: { ...webhookSelect, secret: Boolean(rotateSecret) }
+    });
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  } catch (error) {
+    logger.error('Update webhook error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Delete a webhook and its delivery log
+export const deleteWebhook = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+
+    if (!(await _findOwnWebhook(req.user, webhookId))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await prisma.webhook.delete({
+      where: { id: webhookId }
+    });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    logger.error('Delete webhook error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Send a test event
+export const pingWebhook = async (req, res) => {
+  try {
+    const webhook = await _findOwnWebhook(req.user, req.params.webhookId);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!webhook.isActive) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+
+    const delivery = await sendPing(webhook);
+
+    res.status(202).json({
+      message: 'Ping queued',
+      delivery: { id: delivery.id, event: delivery.event, status: delivery.status }
+    });
+  } catch (error) {
+    logger.error('Ping webhook error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Get a webhook's delivery log, newest first
+export const getDeliveries = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const { cursor, limit, status, event } = req.query;
+
+    if (!(await _findOwnWebhook(req.user, webhookId))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { items: deliveries, pagination } = await paginate(prisma.webhookDelivery, {
+      where: {
+        webhookId,
+        ...(status && { status }),
+        ...(event && { event })
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      cursor,
+      limit,
+      select: deliverySelect
+    });
+
+    res.json({ deliveries, pagination });
+  } catch (error) {
+    logger.error('Get webhook deliveries error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Send a delivery's payload again, e.g. after it failed for good
+export const redeliverDelivery = async (req, res) => {
+  try {
+    const { webhookId, deliveryId } = req.params;
+
+    const webhook = await _findOwnWebhook(req.user, webhookId);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const delivery = await prisma.webhookDelivery.findFirst({
+      where: { id: deliveryId, webhookId }
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (delivery.status === 'pending') {
+      return res.status(409).json({ error: 'Delivery is still being retried' });
+    }
+
+    if (!webhook.isActive) {
+      return res.status(409).json({ error: 'Webhook is disabled' });
+    }
+
+    const copy = await redeliver(delivery);
+
+    res.status(202).json({
+      message: 'Redelivery queued',
+      delivery: { id: copy.id, event: copy.event, status: copy.status, redeliveryOfId: copy.redeliveryOfId }
+    });
+  } catch (error) {
+    logger.error('Redeliver webhook error', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import prisma from '../config/database.js';
+import { findActiveSession } from '../services/sessionService.js';
 
 export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,18 +12,88 @@ export const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, name: true, email: true }
-    });
 
-    if (!user) {
+    // Guest tokens only grant access to the guest-enabled routes
+    if (!decoded.userId) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
-    req.user = user;
+    // The token is only valid while its session has not been revoked
+    const session = await findActiveSession(decoded);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = session.user;
+    req.sessionId = session.id;
+    next();
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+};
+
+// Authenticate the user if a token is sent, otherwise continue anonymously.
+// Used by public routes that show more to signed-in users.
+export const authenticateOptional = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+};
+
+// Resolve a decoded guest token to its guest session. Guest tokens stop
+// working once the owner rotates or disables the poll's share link.
+export const resolveGuestSession = async (decoded) => {
+  const session = await prisma.guestSession.findUnique({
+    where: { id: decoded.guestSessionId },
+    include: {
+      poll: {
+        select: { shareToken: true }
+      }
+    }
+  });
+
+  if (!session || !session.poll.shareToken ||
+      session.poll.shareToken !== decoded.shareToken) {
+    return null;
+  }
+
+  return { id: session.id, pollId: session.pollId };
+};
+
+// Accept either a registered user's token or a guest token issued from a
+// poll's share link. Sets req.user or req.guest accordingly.
+export const authenticateVoter = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  if (!decoded.guestSessionId) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const guest = await resolveGuestSession(decoded);
+
+    if (!guest) {
+      return res.status(401).json({ error: 'Invalid guest session' });
+    }
+
+    req.guest = guest;
     next();
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,8 @@
+// Allow only users with one of the given roles. Use after authenticateToken.
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  next();
+};
@@ -0,0 +1,29 @@
+import { consume, voterLimitKey } from '../services/rateLimiter.js';
+import logger from '../config/logger.js';
+
+// Respond 429 with the number of seconds to wait, as a header and in the body
+export const tooManyRequests = (res, retryAfter, error = 'Too many requests, please try again later') => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, code: 'RATE_LIMITED', retryAfter });
+};
+
+// Count the caller of an authenticated route: a user or a guest session
+export const byVoter = (req) => voterLimitKey({ user: req.user, guest: req.guest });
+
+// Limit requests against a named limit (see config/rateLimit.js). `keyOf`
+// picks what is counted, the client IP by default.
+export const rateLimit = (limitName, keyOf = (req) => `ip:${req.ip}`) => async (req, res, next) => {
+  try {
+    const { allowed, retryAfter } = await consume(limitName, keyOf(req));
+
+    if (!allowed) {
+      return tooManyRequests(res, retryAfter);
+    }
+
+    next();
+  } catch (error) {
+    // An unavailable store should not take the API down with it
+    logger.error('Rate limit error', { limitName, error });
+    next();
+  }
+};
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import logger, { runWithContext } from '../config/logger.js';
+import { httpRequestDuration } from '../config/metrics.js';
+
+// A caller's own X-Request-Id is kept when it looks like an id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// The route pattern a request matched, e.g. /api/polls/:pollId, so that
+// latencies are grouped by route rather than by URL
+const _routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+// The path a request asked for, without its query string and with share
+// tokens blanked out: a logged token would let anyone reading the logs in
+// as a guest
+const _loggedPath = (req) => req.originalUrl
+  .split('?')[0]
+  .replace(/\/shared\/[^/]+/, '/shared/:shareToken');
+
+// Give each request a correlation id, echoed in X-Request-Id and logged with
+// everything done while handling it, then log and time the response.
+export const requestContext = (req, res, next) => {
+  const header = req.get('x-request-id');
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = _routeOf(req);
+    const seconds = endTimer({ method: req.method, route, status_code: res.statusCode });
+
+    logger.info('Request completed', {
+      requestId,
+      method: req.method,
+      path: _loggedPath(req),
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ip: req.ip,
+      ...(req.user && { userId: req.user.id }),
+      ...(req.guest && { guestId: req.guest.id })
+    });
+  });
+
+  runWithContext({ requestId }, next);
+};
@@ -0,0 +1,32 @@
+import { issueDetails, validationErrorBody } from '../validation/common.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Validate the request against zod schemas keyed by location, e.g.
+// validate({ params: pollParams, body: updatePollBody }). Parsed values
+// (trimmed, defaulted, dates converted) replace the raw ones.
+export const validate = (schemas) => (req, res, next) => {
+  const parsed = {};
+  const details = [];
+
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) {
+      continue;
+    }
+
+    const result = schemas[location].safeParse(req[location] ?? {});
+
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      details.push(...issueDetails(result.error, location));
+    }
+  }
+
+  if (details.length > 0) {
+    return res.status(400).json(validationErrorBody(details));
+  }
+
+  Object.assign(req, parsed);
+  next();
+};
@@ -0,0 +1,22 @@
+// Who may do what to a user group. Groups are managed by their owner;
+// members can see them and leave, staff can remove them.
+const isStaff = (user) => user.role === 'moderator' || user.role === 'admin';
+const isOwner = (user, group) => group.ownerId === user.id;
+
+const rules = {
+  // See the group and its members. `isMember` comes from the caller.
+  view: (user, group, { isMember }) => isMember || isOwner(user, group) || isStaff(user),
+  // Rename it and add or remove members
+  update: (user, group) => isOwner(user, group),
+  delete: (user, group) => isOwner(user, group) || isStaff(user)
+};
+
+export const can = (user, action, group, context = {}) => {
+  const rule = rules[action];
+
+  if (!rule) {
+    throw new Error(`Unknown group action "${action}"`);
+  }
+
+  return Boolean(user) && rule(user, group, context);
+};
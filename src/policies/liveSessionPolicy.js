@@ -0,0 +1,22 @@
+// Who may do what to a live session. Participants need no rule: anyone
+// signed in who knows the join code may follow a session that has not ended.
+const isStaff = (user) => Boolean(user) && (user.role === 'moderator' || user.role === 'admin');
+const isPresenter = (user, session) => Boolean(user) && session.userId === user.id;
+
+const rules = {
+  // See the session with its join code and polls
+  view: (user, session) => isPresenter(user, session) || isStaff(user),
+  // Change its polls, and drive it over the socket
+  present: (user, session) => isPresenter(user, session),
+  delete: (user, session) => isPresenter(user, session) || isStaff(user)
+};
+
+export const can = (user, action, session, context = {}) => {
+  const rule = rules[action];
+
+  if (!rule) {
+    throw new Error(`Unknown live session action "${action}"`);
+  }
+
+  return rule(user, session, context);
+};
@@ -0,0 +1,66 @@
+// Who may do what to a poll. Controllers and socket handlers ask `can()`
+// instead of comparing owner IDs themselves.
+const isStaff = (user) => user.role === 'moderator' || user.role === 'admin';
+const isOwner = (user, poll) => Boolean(user.id) && poll.userId === user.id;
+
+const rules = {
+  // See an unpublished poll
+  view: (user, poll) => poll.isPublished || isOwner(user, poll) || isStaff(user),
+  // Edit question, settings and voting window
+  update: (user, poll) => isOwner(user, poll),
+  // Share links, exports and the participant list
+  manage: (user, poll) => isOwner(user, poll),
+  // Take a poll off the platform without deleting it
+  moderate: (user) => isStaff(user),
+  // Delete other people's comments on the poll
+  moderateComments: (user, poll) => isOwner(user, poll) || isStaff(user),
+  delete: (user, poll) => isOwner(user, poll) || isStaff(user)
+};
+
+// Whether a user may open a published poll, vote on it and follow it live.
+// Unlisted polls are open to anyone with their ID (they are only left out of
+// listings); restricted polls only to their access list (`isMember`).
+// Guests (no `user`) are held to the same rules.
+export const canAccess = (user, poll, { isMember = false } = {}) => {
+  if (user && (isOwner(user, poll) || isStaff(user))) {
+    return true;
+  }
+
+  if (!poll.isPublished) {
+    return false;
+  }
+
+  return poll.visibility !== 'restricted' || (Boolean(user) && isMember);
+};
+
+const isClosedNow = (poll) => poll.isClosed || Boolean(poll.closesAt && poll.closesAt <= new Date());
+
+// Whether a viewer may see a poll's result counts. `user` is absent for
+// guests; `hasVoted` only matters for after_vote polls. Voting is over once
+// a poll closes, so after_vote polls are revealed to everyone then too.
+export const canSeeResults = (user, poll, { hasVoted = false } = {}) => {
+  if (user && (isOwner(user, poll) || isStaff(user))) {
+    return true;
+  }
+
+  switch (poll.resultsVisibility) {
+    case 'after_vote':
+      return hasVoted || isClosedNow(poll);
+    case 'after_close':
+      return isClosedNow(poll);
+    case 'owner_only':
+      return false;
+    default:
+      return true;
+  }
+};
+
+export const can = (user, action, poll) => {
+  const rule = rules[action];
+
+  if (!rule) {
+    throw new Error(`Unknown poll action "${action}"`);
+  }
+
+  return Boolean(user) && rule(user, poll);
+};
@@ -0,0 +1,22 @@
+// Who may do what to a quiz session. Hosts run their sessions; participants
+// (guests included, so `user` may be absent) follow the leaderboard.
+const isStaff = (user) => Boolean(user) && (user.role === 'moderator' || user.role === 'admin');
+const isHost = (user, session) => Boolean(user) && session.userId === user.id;
+
+const rules = {
+  // See the session and its leaderboard. `isParticipant` comes from the caller.
+  view: (user, session, { isParticipant }) => isParticipant || isHost(user, session) || isStaff(user),
+  // Rename it, pick its questions and reveal their answers
+  manage: (user, session) => isHost(user, session),
+  delete: (user, session) => isHost(user, session) || isStaff(user)
+};
+
+export const can = (user, action, session, context = {}) => {
+  const rule = rules[action];
+
+  if (!rule) {
+    throw new Error(`Unknown quiz session action "${action}"`);
+  }
+
+  return rule(user, session, context);
+};
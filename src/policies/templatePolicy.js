@@ -0,0 +1,21 @@
+// Who may do what to a poll template. Shared templates can be used by
+// everyone; staff can remove them.
+const isStaff = (user) => user.role === 'moderator' || user.role === 'admin';
+const isOwner = (user, template) => template.userId === user.id;
+
+const rules = {
+  // See it and create polls from it
+  use: (user, template) => template.isShared || isOwner(user, template),
+  update: (user, template) => isOwner(user, template),
+  delete: (user, template) => isOwner(user, template) || isStaff(user)
+};
+
+export const can = (user, action, template) => {
+  const rule = rules[action];
+
+  if (!rule) {
+    throw new Error(`Unknown template action "${action}"`);
+  }
+
+  return Boolean(user) && rule(user, template);
+};
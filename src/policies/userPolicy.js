@@ -0,0 +1,22 @@
+// Who may moderate which accounts. Staff can only act on accounts ranked
+// below their own, and nobody can act on themselves.
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+const outranks = (actor, target) => ROLE_RANK[actor.role] > ROLE_RANK[target.role];
+
+const rules = {
+  suspend: (actor, target) => actor.role !== 'user' && outranks(actor, target),
+  changeRole: (actor, target) => actor.role === 'admin' && actor.id !== target.id
+};
+
+export const ROLES = Object.keys(ROLE_RANK);
+
+export const can = (actor, action, target) => {
+  const rule = rules[action];
+
+  if (!rule) {
+    throw new Error(`Unknown user action "${action}"`);
+  }
+
+  return Boolean(actor) && actor.id !== target.id && rule(actor, target);
+};
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  suspendUser,
+  unsuspendUser,
+  updateUserRole,
+  getPlatformStats
+} from '../controllers/adminController.js';
+import { unpublishPoll, deletePoll } from '../controllers/pollController.js';
+import { getAuditLog } from '../controllers/auditController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { validate } from '../middleware/validate.js';
+import { pollParams } from '../validation/pollSchemas.js';
+import { userParams, roleBody } from '../validation/userSchemas.js';
+import { auditLogQuery } from '../validation/auditSchemas.js';
+
+const router = express.Router();
+
+// All routes require a moderator or admin
+router.use(authenticateToken, authorize('moderator', 'admin'));
+
+router.get('/stats', getPlatformStats);
+router.post('/polls/:pollId/unpublish', validate({ params: pollParams }), unpublishPoll);
+router.delete('/polls/:pollId', validate({ params: pollParams }), deletePoll);
+router.post('/users/:userId/suspend', validate({ params: userParams }), suspendUser);
+router.post('/users/:userId/unsuspend', validate({ params: userParams }), unsuspendUser);
+router.put(
+  '/users/:userId/role',
+  authorize('admin'),
+  validate({ params: userParams, body: roleBody }),
+  updateUserRole
+);
+router.get('/audit-log', authorize('admin'), validate({ query: auditLogQuery }), getAuditLog);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupMembers,
+  removeGroupMember,
+  cancelGroupInvitation
+} from '../controllers/groupController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  groupParams,
+  groupMemberParams,
+  groupInvitationParams,
+  groupListQuery,
+  createGroupBody,
+  updateGroupBody,
+  addMembersBody
+} from '../validation/groupSchemas.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(authenticateToken);
+
+router.get('/', validate({ query: groupListQuery }), getGroups);
+router.post('/', validate({ body: createGroupBody }), createGroup);
+router.get('/:groupId', validate({ params: groupParams }), getGroupById);
+router.put('/:groupId', validate({ params: groupParams, body: updateGroupBody }), updateGroup);
+router.delete('/:groupId', validate({ params: groupParams }), deleteGroup);
+router.post('/:groupId/members', validate({ params: groupParams, body: addMembersBody }), addGroupMembers);
+router.delete('/:groupId/members/:userId', validate({ params: groupMemberParams }), removeGroupMember);
+router.delete('/:groupId/invitations/:invitationId', validate({ params: groupInvitationParams }), cancelGroupInvitation);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getLiveSessions,
+  createLiveSession,
+  getLiveSessionById,
+  getLiveSessionByCode,
+  updateLiveSession,
+  deleteLiveSession
+} from '../controllers/liveSessionController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  liveSessionParams,
+  joinCodeParams,
+  liveSessionListQuery,
+  createLiveSessionBody,
+  updateLiveSessionBody
+} from '../validation/liveSessionSchemas.js';
+
+const router = express.Router();
+
+// All live session routes require authentication
+router.use(authenticateToken);
+
+// Participants look a session up by its join code
+router.get('/join/:joinCode', validate({ params: joinCodeParams }), getLiveSessionByCode);
+
+// Presenters manage their sessions
+router.get('/', validate({ query: liveSessionListQuery }), getLiveSessions);
+router.post('/', validate({ body: createLiveSessionBody }), createLiveSession);
+router.get('/:liveSessionId', validate({ params: liveSessionParams }), getLiveSessionById);
+router.put('/:liveSessionId', validate({ params: liveSessionParams, body: updateLiveSessionBody }), updateLiveSession);
+router.delete('/:liveSessionId', validate({ params: liveSessionParams }), deleteLiveSession);
+
+export default router;
@@ -1,24 +1,98 @@
 import express from 'express';
 import {
   createPoll,
+  clonePoll,
   getAllPolls,
   getPollById,
   getUserPolls,
   updatePoll,
-  deletePoll
+  deletePoll,
+  sharePoll,
+  unsharePoll,
+  getSharedPoll,
+  createGuestSession
 } from '../controllers/pollController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import {
+  addOption,
+  renameOption,
+  removeOption,
+  reorderOptions
+} from '../controllers/pollOptionController.js';
+import { getPollAccess, updatePollAccess } from '../controllers/pollAccessController.js';
+import { exportPoll } from '../controllers/exportController.js';
+import { getPollActivity } from '../controllers/auditController.js';
+import { createTemplateFromPoll } from '../controllers/templateController.js';
+import { setCorrectOption, revealAnswer } from '../controllers/quizController.js';
+import {
+  getComments,
+  getReplies,
+  createComment,
+  updateComment,
+  deleteComment
+} from '../controllers/commentController.js';
+import { authenticateToken, authenticateOptional, authenticateVoter } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit, byVoter } from '../middleware/rateLimit.js';
+import {
+  pollParams,
+  shareParams,
+  createPollBody,
+  clonePollBody,
+  updatePollBody,
+  pollAccessBody,
+  correctOptionBody,
+  exportQuery,
+  pollListQuery,
+  myPollsQuery,
+  optionParams,
+  addOptionBody,
+  renameOptionBody,
+  removeOptionQuery,
+  reorderOptionsBody
+} from '../validation/pollSchemas.js';
+import { activityQuery } from '../validation/auditSchemas.js';
+import { templateFromPollBody } from '../validation/templateSchemas.js';
+import {
+  commentParams,
+  createCommentBody,
+  updateCommentBody,
+  commentListQuery,
+  repliesQuery
+} from '../validation/commentSchemas.js';
 
 const router = express.Router();
 
 // Public routes
-router.get('/', getAllPolls);
-router.get('/:pollId', authenticateToken, getPollById);
+router.get('/', authenticateOptional, validate({ query: pollListQuery }), getAllPolls);
+router.get('/shared/:shareToken', validate({ params: shareParams }), getSharedPoll);
+router.post('/shared/:shareToken/guest', rateLimit('guestSession'), validate({ params: shareParams }), createGuestSession);
+router.get('/:pollId', authenticateToken, validate({ params: pollParams }), getPollById);
 
 // Protected routes
-router.post('/', authenticateToken, createPoll);
-router.get('/user/my-polls', authenticateToken, getUserPolls);
-router.put('/:pollId', authenticateToken, updatePoll);
-router.delete('/:pollId', authenticateToken, deletePoll);
+router.post('/', authenticateToken, rateLimit('createPoll', byVoter), validate({ body: createPollBody }), createPoll);
+router.post('/:pollId/clone', authenticateToken, rateLimit('createPoll', byVoter), validate({ params: pollParams, body: clonePollBody }), clonePoll);
+router.post('/:pollId/template', authenticateToken, validate({ params: pollParams, body: templateFromPollBody }), createTemplateFromPoll);
+router.get('/user/my-polls', authenticateToken, validate({ query: myPollsQuery }), getUserPolls);
+router.put('/:pollId', authenticateToken, validate({ params: pollParams, body: updatePollBody }), updatePoll);
+router.delete('/:pollId', authenticateToken, validate({ params: pollParams }), deletePoll);
+router.post('/:pollId/share', authenticateToken, validate({ params: pollParams }), sharePoll);
+router.delete('/:pollId/share', authenticateToken, validate({ params: pollParams }), unsharePoll);
+router.get('/:pollId/access', authenticateToken, validate({ params: pollParams }), getPollAccess);
+router.put('/:pollId/access', authenticateToken, validate({ params: pollParams, body: pollAccessBody }), updatePollAccess);
+router.post('/:pollId/options', authenticateToken, validate({ params: pollParams, body: addOptionBody }), addOption);
+router.put('/:pollId/options/order', authenticateToken, validate({ params: pollParams, body: reorderOptionsBody }), reorderOptions);
+router.put('/:pollId/options/:optionId', authenticateToken, validate({ params: optionParams, body: renameOptionBody }), renameOption);
+router.delete('/:pollId/options/:optionId', authenticateToken, validate({ params: optionParams, query: removeOptionQuery }), removeOption);
+router.put('/:pollId/answer', authenticateToken, validate({ params: pollParams, body: correctOptionBody }), setCorrectOption);
+router.post('/:pollId/reveal', authenticateToken, validate({ params: pollParams }), revealAnswer);
+router.get('/:pollId/export', authenticateToken, validate({ params: pollParams, query: exportQuery }), exportPoll);
+router.get('/:pollId/activity', authenticateToken, validate({ params: pollParams, query: activityQuery }), getPollActivity);
+
+// Comments: readable by users and share-link guests, written by users
+router.get('/:pollId/comments', authenticateVoter, validate({ params: pollParams, query: commentListQuery }), getComments);
+router.get('/:pollId/comments/:commentId/replies', authenticateVoter, validate({ params: commentParams, query: repliesQuery }), getReplies);
+router.post('/:pollId/comments', authenticateToken, rateLimit('comment', byVoter), validate({ params: pollParams, body: createCommentBody }), createComment);
+router.put('/:pollId/comments/:commentId', authenticateToken, validate({ params: commentParams, body: updateCommentBody }), updateComment);
+router.delete('/:pollId/comments/:commentId', authenticateToken, validate({ params: commentParams }), deleteComment);
 
 export default router;
\ No newline at end of file
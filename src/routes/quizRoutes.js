@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getQuizSessions,
+  createQuizSession,
+  getQuizSessionById,
+  updateQuizSession,
+  deleteQuizSession,
+  getLeaderboard
+} from '../controllers/quizController.js';
+import { authenticateToken, authenticateVoter } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  quizSessionParams,
+  quizSessionListQuery,
+  createQuizSessionBody,
+  updateQuizSessionBody,
+  leaderboardQuery
+} from '../validation/quizSchemas.js';
+
+const router = express.Router();
+
+// Hosts manage their sessions
+router.get('/', authenticateToken, validate({ query: quizSessionListQuery }), getQuizSessions);
+router.post('/', authenticateToken, validate({ body: createQuizSessionBody }), createQuizSession);
+router.put('/:quizSessionId', authenticateToken, validate({ params: quizSessionParams, body: updateQuizSessionBody }), updateQuizSession);
+router.delete('/:quizSessionId', authenticateToken, validate({ params: quizSessionParams }), deleteQuizSession);
+
+// Participants (users or share-link guests) follow them
+router.get('/:quizSessionId', authenticateVoter, validate({ params: quizSessionParams }), getQuizSessionById);
+router.get('/:quizSessionId/leaderboard', authenticateVoter, validate({ params: quizSessionParams, query: leaderboardQuery }), getLeaderboard);
+
+export default router;
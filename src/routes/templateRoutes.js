@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createPollFromTemplate
+} from '../controllers/templateController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit, byVoter } from '../middleware/rateLimit.js';
+import {
+  templateParams,
+  createTemplateBody,
+  updateTemplateBody,
+  templateListQuery,
+  useTemplateBody
+} from '../validation/templateSchemas.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(authenticateToken);
+
+router.get('/', validate({ query: templateListQuery }), getTemplates);
+router.post('/', validate({ body: createTemplateBody }), createTemplate);
+router.get('/:templateId', validate({ params: templateParams }), getTemplateById);
+router.put('/:templateId', validate({ params: templateParams, body: updateTemplateBody }), updateTemplate);
+router.delete('/:templateId', validate({ params: templateParams }), deleteTemplate);
+router.post(
+  '/:templateId/polls',
+  rateLimit('createPoll', byVoter),
+  validate({ params: templateParams, body: useTemplateBody }),
+  createPollFromTemplate
+);
+
+export default router;
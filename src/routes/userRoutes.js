@@ -2,19 +2,49 @@ import express from 'express';
 import {
   createUser,
   loginUser,
+  refreshToken,
+  logoutUser,
+  logoutAllSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
   getUserProfile,
   getAllUsers
 } from '../controllers/userController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import { validate } from '../middleware/validate.js';
+import { byVoter, rateLimit } from '../middleware/rateLimit.js';
+import {
+  registerBody,
+  loginBody,
+  refreshBody,
+  verifyEmailBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+  changePasswordBody,
+  userListQuery
+} from '../validation/userSchemas.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/register', createUser);
-router.post('/login', loginUser);
+router.post('/register', rateLimit('register'), validate({ body: registerBody }), createUser);
+router.post('/login', rateLimit('login'), validate({ body: loginBody }), loginUser);
+router.post('/refresh', rateLimit('refresh'), validate({ body: refreshBody }), refreshToken);
+router.post('/verify-email', validate({ body: verifyEmailBody }), verifyEmail);
+router.post('/password/forgot', rateLimit('mail'), validate({ body: forgotPasswordBody }), forgotPassword);
+router.post('/password/reset', validate({ body: resetPasswordBody }), resetPassword);
 
 // Protected routes
+router.post('/logout', authenticateToken, logoutUser);
+router.post('/logout-all', authenticateToken, logoutAllSessions);
 router.get('/profile', authenticateToken, getUserProfile);
-router.get('/', authenticateToken, getAllUsers);
+router.post('/verify-email/resend', authenticateToken, rateLimit('mail', byVoter), resendVerificationEmail);
+// Password guesses count against the login limit, per account
+router.put('/password', authenticateToken, rateLimit('login', byVoter), validate({ body: changePasswordBody }), changePassword);
+router.get('/', authenticateToken, authorize('admin'), validate({ query: userListQuery }), getAllUsers);
 
 export default router;
\ No newline at end of file
@@ -1,18 +1,34 @@
 import express from 'express';
 import {
   submitVote,
+  changeVote,
+  retractVote,
   getPollResults,
+  getVoteHistory,
   getUserVotes
 } from '../controllers/voteController.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authenticateVoter } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit, byVoter } from '../middleware/rateLimit.js';
+import { pollParams } from '../validation/pollSchemas.js';
+import { ballotBody, historyQuery, myVotesQuery } from '../validation/voteSchemas.js';
 
 const router = express.Router();
 
-// All routes are protected
-router.post('/', authenticateToken, (req, res) => {
+// All routes are protected; voting and results also accept guest tokens
+const limitVotes = rateLimit('vote', byVoter);
+
+router.post('/', authenticateVoter, limitVotes, validate({ body: ballotBody }), (req, res) => {
   submitVote(req, res, req.app.get('io'));
 });
-router.get('/results/:pollId', authenticateToken, getPollResults);
-router.get('/user/my-votes', authenticateToken, getUserVotes);
+router.put('/:pollId', authenticateVoter, limitVotes, validate({ params: pollParams, body: ballotBody }), (req, res) => {
+  changeVote(req, res, req.app.get('io'));
+});
+router.delete('/:pollId', authenticateVoter, limitVotes, validate({ params: pollParams }), (req, res) => {
+  retractVote(req, res, req.app.get('io'));
+});
+router.get('/results/:pollId', authenticateVoter, validate({ params: pollParams }), getPollResults);
+router.get('/history/:pollId', authenticateVoter, validate({ params: pollParams, query: historyQuery }), getVoteHistory);
+router.get('/user/my-votes', authenticateToken, validate({ query: myVotesQuery }), getUserVotes);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  pingWebhook,
+  getDeliveries,
+  redeliverDelivery
+} from '../controllers/webhookController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  webhookParams,
+  deliveryParams,
+  createWebhookBody,
+  updateWebhookBody,
+  deliveryListQuery
+} from '../validation/webhookSchemas.js';
+
+const router = express.Router();
+
+// All routes are protected; users only see their own webhooks
+router.use(authenticateToken);
+
+router.get('/', getWebhooks);
+router.post('/', validate({ body: createWebhookBody }), createWebhook);
+router.put('/:webhookId', validate({ params: webhookParams, body: updateWebhookBody }), updateWebhook);
+router.delete('/:webhookId', validate({ params: webhookParams }), deleteWebhook);
+router.post('/:webhookId/ping', validate({ params: webhookParams }), pingWebhook);
+router.get('/:webhookId/deliveries', validate({ params: webhookParams, query: deliveryListQuery }), getDeliveries);
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', validate({ params: deliveryParams }), redeliverDelivery);
+
+export default router;
@@ -0,0 +1,95 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+
+// Actions recorded in the audit log
+export const AUDIT_ACTIONS = [
+  'poll.create',
+  'poll.update',
+  'poll.publish',
+  'poll.unpublish',
+  'poll.delete',
+  'poll.share',
+  'poll.unshare',
+  'poll.access_update',
+  'poll.reveal',
+  'option.add',
+  'option.rename',
+  'option.remove',
+  'option.reorder',
+  'comment.remove',
+  'vote.cast',
+  'vote.change',
+  'vote.retract',
+  'user.register',
+  'user.login',
+  'user.login_failed',
+  'user.logout',
+  'user.verify_email',
+  'user.reset_password',
+  'user.change_password',
+  'admin.user_suspend',
+  'admin.user_unsuspend',
+  'admin.user_role'
+];
+
+// Who performed a request: the signed-in user or guest, and their IP
+export const auditActor = (req) => ({
+  actorId: req.user?.id || null,
+  guestSessionId: req.guest?.id || null,
+  ip: req.ip || null
+});
+
+// The fields of a poll worth keeping in a snapshot. Share tokens are
+// secrets and stay out of the log.
+export const pollSnapshot = (poll) => ({
+  question: poll.question,
+  isPublished: poll.isPublished,
+  visibility: poll.visibility,
+  type: poll.type,
+  minSelections: poll.minSelections,
+  maxSelections: poll.maxSelections,
+  allowVoteChange: poll.allowVoteChange,
+  resultsVisibility: poll.resultsVisibility,
+  opensAt: poll.opensAt,
+  closesAt: poll.closesAt,
+  isClosed: poll.isClosed,
+  voterCount: poll.voterCount,
+  ...(poll.options && {
+    options: poll.options.map(option => ({
+      id: option.id,
+      text: option.text,
+      ...(option._count && { voteCount: option._count.votes })
+    }))
+  })
+});
+
+// Append an entry to the audit log. Auditing never fails the action it
+// records: write errors are logged and swallowed.
+export const recordAudit = async ({
+  action,
+  actor = {},
+  pollId = null,
+  targetType,
+  targetId = null,
+  before,
+  after
+}) => {
+  try {
+    await prisma.auditLog.create({
+      data: {
+        action,
+        actorId: actor.actorId || null,
+        guestSessionId: actor.guestSessionId || null,
+        ip: actor.ip || null,
+        pollId,
+        targetType,
+        targetId,
+        // JSON round trip turns Dates into strings Prisma accepts
+        ...(before && { before: JSON.parse(JSON.stringify(before)) }),
+        ...(after && { after: JSON.parse(JSON.stringify(after)) })
+      }
+    });
+  } catch (error) {
+    logger.error('Audit log error', { action, error });
+  }
+};
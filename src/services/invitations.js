@@ -0,0 +1,83 @@
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+
+// Groups and restricted polls name people by email address. Every address
+// becomes an invitation, whether or not it has an account, and turns into
+// a membership once the address's owner has verified it and signs in. That
+// way, adding an address never tells the inviter whether it is registered.
+
+export const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// Distinct, normalized addresses
+export const uniqueEmails = (emails) => [...new Set(emails.map(normalizeEmail))];
+
+export const invitationSelect = {
+  id: true,
+  email: true,
+  createdAt: true
+};
+
+export const listInvitations = (where) => prisma.invitation.findMany({
+  where,
+  select: invitationSelect,
+  orderBy: { createdAt: 'asc' }
+});
+
+// Of `emails`, the addresses of the users among `userIds`, e.g. people who
+// are already members and need no invitation
+export const emailsOfUsers = async (userIds, emails) => {
+  const users = userIds.length > 0 && emails.length > 0
+    ? await prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, email: true }
+    })
+    : [];
+
+  const wanted = new Set(emails);
+  return new Map(users
+    .filter(user => wanted.has(normalizeEmail(user.email)))
+    .map(user => [normalizeEmail(user.email), user.id]));
+};
+
+// Turn the invitations for a user's address into group memberships and
+// access list entries. Only verified addresses claim invitations. Called
+// when the user signs in, refreshes a session, verifies their address or
+// resets their password. Resolves to the number claimed; never throws.
+export const claimInvitations = async (user) => {
+  if (!user.emailVerifiedAt) {
+    return 0;
+  }
+
+  try {
+    const invitations = await prisma.invitation.findMany({
+      where: { email: normalizeEmail(user.email) },
+      select: { id: true, groupId: true, pollId: true }
+    });
+
+    if (invitations.length === 0) {
+      return 0;
+    }
+
+    const groupIds = invitations.filter(invitation => invitation.groupId).map(invitation => invitation.groupId);
+    const pollIds = invitations.filter(invitation => invitation.pollId).map(invitation => invitation.pollId);
+
+    await prisma.$transaction([
+      prisma.groupMember.createMany({
+        data: groupIds.map(groupId => ({ groupId, userId: user.id })),
+        skipDuplicates: true
+      }),
+      prisma.pollAccess.createMany({
+        data: pollIds.map(pollId => ({ pollId, userId: user.id })),
+        skipDuplicates: true
+      }),
+      prisma.invitation.deleteMany({
+        where: { id: { in: invitations.map(invitation => invitation.id) } }
+      })
+    ]);
+
+    return invitations.length;
+  } catch (error) {
+    logger.error('Claim invitations error', { userId: user.id, error });
+    return 0;
+  }
+};
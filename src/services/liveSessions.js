@@ -0,0 +1,513 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { can } from '../policies/liveSessionPolicy.js';
+import { closePoll } from './pollScheduler.js';
+import { computePollResults } from './pollResults.js';
+import { pollSnapshot, recordAudit } from './auditLog.js';
+import { triggerWebhookEvent } from './webhookDelivery.js';
+import { resultsRoom, syncResultsAccess } from '../websocket/resultsAccess.js';
+import { JOIN_CODE_ALPHABET, JOIN_CODE_LENGTH } from '../validation/liveSessionSchemas.js';
+import logger from '../config/logger.js';
+
+// Live sessions: a presenter walks a room of participants through an
+// ordered set of polls. The session's progress (current poll and phase) is
+// kept in the database, so every server instance serves the same state and
+// a presenter who reconnects picks up where they left off. Participants
+// follow in live-<id>, the presenter's sockets in live-<id>-presenter; both
+// are moved into the current poll's room so the usual vote and results
+// events reach them. Locking voting sets the poll's liveLockedAt rather than
+// closing it; a poll is only closed when the session moves on or ends. A
+// live session whose presenter stays away longer than the grace period is
+// ended.
+
+const PRESENTER_GRACE_MS = (Number(process.env.LIVE_SESSION_PRESENTER_GRACE_SECONDS) || 10 * 60) * 1000;
+
+const timers = new Map();
+let io = null;
+
+export const liveRoom = (liveSessionId) => `live-${liveSessionId}`;
+export const presenterRoom = (liveSessionId) => `live-${liveSessionId}-presenter`;
+// Sockets the session put into its current poll's room, as opposed to those
+// that were in it already
+const _movedRoom = (liveSessionId) => `live-${liveSessionId}-moved`;
+
+const _fail = (status, error) => ({ status, body: { error } });
+
+// What everyone in the session sees of a poll
+const pollSelect = {
+  id: true,
+  userId: true,
+  question: true,
+  type: true,
+  minSelections: true,
+  maxSelections: true,
+  allowVoteChange: true,
+  visibility: true,
+  isPublished: true,
+  isClosed: true,
+  closesAt: true,
+  liveLockedAt: true,
+  answerRevealedAt: true,
+  options: {
+    select: { id: true, text: true, position: true },
+    orderBy: { position: 'asc' }
+  }
+};
+
+const sessionInclude = {
+  polls: {
+    select: { poll: { select: pollSelect } },
+    orderBy: { position: 'asc' }
+  }
+};
+
+export const generateJoinCode = () => Array.from(
+  { length: JOIN_CODE_LENGTH },
+  () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+).join('');
+
+// Run `create` with a fresh join code, drawing another on the rare collision
+export const withJoinCode = async (create, attempts = 5) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await create(generateJoinCode());
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= attempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Load a session with its polls in order, or null
+const _loadSession = async (liveSessionId) => {
+  const session = await prisma.liveSession.findUnique({
+    where: { id: liveSessionId },
+    include: sessionInclude
+  });
+
+  return session && { ...session, polls: session.polls.map(entry => entry.poll) };
+};
+
+const _formatPoll = ({ userId, visibility, isPublished, closesAt, liveLockedAt, answerRevealedAt, ...poll }) => poll;
+
+// Distinct participants (the presenter aside) and whether the presenter
+// has a socket in the session. `excludeSocketId` leaves out a socket that
+// is disconnecting.
+const _presence = async (session, { excludeSocketId } = {}) => {
+  const [participants, presenters] = await Promise.all([
+    io.in(liveRoom(session.id)).fetchSockets(),
+    io.in(presenterRoom(session.id)).fetchSockets()
+  ]);
+
+  const keys = new Set(participants
+    .filter(socket => socket.id !== excludeSocketId && socket.data.viewer)
+    .map(socket => socket.data.viewer.key)
+    .filter(key => key !== session.userId));
+
+  return {
+    participantCount: keys.size,
+    presenterConnected: presenters.some(socket => socket.id !== excludeSocketId)
+  };
+};
+
+// The session as its participants see it, or with `forPresenter` as its
+// presenter does: with the join code and every poll of the session
+const _renderState = async (session, { forPresenter = false, presence } = {}) => {
+  const index = session.polls.findIndex(poll => poll.id === session.currentPollId);
+  const current = index >= 0 ? session.polls[index] : null;
+
+  return {
+    id: session.id,
+    title: session.title,
+    status: session.status,
+    phase: session.phase,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    pollCount: session.polls.length,
+    position: current ? index : null,
+    currentPoll: current ? _formatPoll(current) : null,
+    // Revealed results are shown whatever the poll's results visibility
+    results: current && session.phase === 'revealed' ? await computePollResults(current.id) : null,
+    ...(presence || await _presence(session)),
+    ...(forPresenter && {
+      joinCode: session.joinCode,
+      polls: session.polls.map((poll, position) => ({
+        id: poll.id,
+        question: poll.question,
+        position,
+        isPublished: poll.isPublished,
+        isClosed: poll.isClosed
+      }))
+    })
+  };
+};
+
+// Push the session's state to its participants and presenter after a
+// change (`change` says what happened). Never throws.
+const _publishState = async (liveSessionId, change) => {
+  try {
+    const session = await _loadSession(liveSessionId);
+    if (!session) {
+      return;
+    }
+
+    const presence = await _presence(session);
+    const [state, presenterState] = await Promise.all([
+      _renderState(session, { presence }),
+      _renderState(session, { presence, forPresenter: true })
+    ]);
+
+    io.to(liveRoom(liveSessionId)).emit('liveSessionState', { liveSessionId, state, change });
+    io.to(presenterRoom(liveSessionId)).emit('liveSessionState', { liveSessionId, state: presenterState, change });
+  } catch (error) {
+    logger.error('Live session update error', { liveSessionId, error });
+  }
+};
+
+// Tell a session's participants and presenter who is connected. Never throws.
+export const publishLivePresence = async (liveSessionId, options) => {
+  try {
+    const session = await prisma.liveSession.findUnique({
+      where: { id: liveSessionId },
+      select: { id: true, userId: true }
+    });
+    if (!session) {
+      return;
+    }
+
+    const presence = await _presence(session, options);
+    io.to([liveRoom(liveSessionId), presenterRoom(liveSessionId)])
+      .emit('liveSessionPresence', { liveSessionId, ...presence });
+    return presence;
+  } catch (error) {
+    logger.error('Live session presence error', { liveSessionId, error });
+  }
+};
+
+// The session's current state, as its participants or presenter see it
+export const getLiveState = async (liveSessionId, options) => {
+  const session = await _loadSession(liveSessionId);
+  return session && _renderState(session, options);
+};
+
+// Find a session that participants may still join by its code, or null.
+// Ended sessions release their code.
+export const findByJoinCode = (joinCode) => prisma.liveSession.findUnique({
+  where: { joinCode },
+  select: { id: true, userId: true, status: true }
+});
+
+// Load a session the user presents. Sessions they may not see are
+// reported as missing. Returns { session } or { status, error }.
+export const findPresentedSession = async (user, liveSessionId) => {
+  const session = await _loadSession(liveSessionId);
+
+  if (!session || !(can(user, 'view', session) || can(user, 'present', session))) {
+    return { status: 404, error: 'Live session not found' };
+  }
+
+  if (!can(user, 'present', session)) {
+    return { status: 403, error: 'Only the presenter can run this live session' };
+  }
+
+  return { session };
+};
+
+// Put a socket that joins or presents a session into its current poll's
+// room, unless it is there already
+export const joinCurrentPoll = (socket, liveSessionId, pollId) => {
+  if (!socket.rooms.has(`poll-${pollId}`)) {
+    socket.join([`poll-${pollId}`, _movedRoom(liveSessionId)]);
+  }
+};
+
+// Take a socket out of the session's bookkeeping when it leaves: it stays
+// in the poll's room as if it had joined it itself
+export const leaveCurrentPoll = (socket, liveSessionId) => socket.leave(_movedRoom(liveSessionId));
+
+// Put the sockets following a session into a poll's room, as if they had
+// joined it themselves. Sockets the session moved into the previous poll's
+// room leave it; those that joined that poll on their own stay.
+const _moveToPoll = async (liveSessionId, previousPollId, pollId) => {
+  const rooms = [liveRoom(liveSessionId), presenterRoom(liveSessionId)];
+  const moved = _movedRoom(liveSessionId);
+
+  if (previousPollId && previousPollId !== pollId) {
+    io.in(moved).socketsLeave([`poll-${previousPollId}`, resultsRoom(previousPollId), moved]);
+  }
+
+  if (pollId) {
+    io.in(rooms).except(`poll-${pollId}`).socketsJoin([`poll-${pollId}`, moved]);
+    await syncResultsAccess(io, pollId);
+  }
+};
+
+const _setLiveLock = (pollId, locked) => prisma.poll.update({
+  where: { id: pollId },
+  data: { liveLockedAt: locked ? new Date() : null },
+  select: { id: true }
+});
+
+// Close the poll the session is leaving, lifting its live lock
+const _closeCurrent = async (current) => {
+  if (!current.isClosed) {
+    await closePoll(current.id);
+  }
+
+  if (current.liveLockedAt) {
+    await _setLiveLock(current.id, false);
+  }
+};
+
+// Publish a poll the presenter opens before it was published, the same
+// way PUT /api/polls/:pollId would
+const _publishPoll = async (poll, actor) => {
+  const updatedPoll = await prisma.poll.update({
+    where: { id: poll.id },
+    data: { isPublished: true, publishedAt: new Date() }
+  });
+
+  await recordAudit({
+    action: 'poll.publish',
+    actor,
+    pollId: poll.id,
+    targetType: 'poll',
+    targetId: poll.id,
+    before: pollSnapshot(poll),
+    after: pollSnapshot(updatedPoll)
+  });
+
+  await triggerWebhookEvent('poll_published', updatedPoll, { poll: pollSnapshot(updatedPoll) });
+};
+
+// Open `target` for voting, locking the current poll
+const _openPoll = async (session, current, target, actor) => {
+  if (current && current.id === target.id) {
+    return _fail(409, 'That poll is already open');
+  }
+
+  // The join code is all participants need, which would get them past an access list
+  if (target.visibility === 'restricted') {
+    return _fail(409, 'Restricted polls cannot be presented in a live session');
+  }
+
+  if (current) {
+    await _closeCurrent(current);
+  }
+
+  if (!target.isPublished) {
+    await _publishPoll(target, actor);
+  }
+
+  await prisma.liveSession.update({
+    where: { id: session.id },
+    data: {
+      status: 'live',
+      startedAt: session.startedAt || new Date(),
+      currentPollId: target.id,
+      phase: target.isClosed ? 'locked' : 'voting'
+    }
+  });
+
+  await _moveToPoll(session.id, current && current.id, target.id);
+  return { change: { type: 'pollOpened', pollId: target.id } };
+};
+
+// Lift the live lock on the current poll. Polls closed for good (by their
+// owner, their closing time, or the session earlier on) stay closed.
+// Resolves to null, or a failure if voting cannot resume.
+const _unlock = async (current) => {
+  if (current.answerRevealedAt) {
+    return _fail(409, 'Cannot reopen a quiz poll whose answer has been revealed');
+  }
+
+  if (current.isClosed) {
+    return _fail(409, 'Poll is closed');
+  }
+
+  await _setLiveLock(current.id, false);
+  return null;
+};
+
+// End a session: close its current poll, release its join code and send
+// everyone a final state before emptying its rooms. `reason` is presenter,
+// presenter_left or deleted. Resolves to false if it had already ended.
+export const endLiveSession = async (liveSessionId, reason = 'presenter') => {
+  _disarmPresenterTimer(liveSessionId);
+
+  const session = await _loadSession(liveSessionId);
+  if (!session || session.status === 'ended') {
+    return false;
+  }
+
+  const current = session.polls.find(poll => poll.id === session.currentPollId);
+  if (current) {
+    await _closeCurrent(current);
+  }
+
+  const { count } = await prisma.liveSession.updateMany({
+    where: { id: liveSessionId, status: { not: 'ended' } },
+    data: { status: 'ended', endedAt: new Date(), joinCode: null, phase: null }
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  const rooms = [liveRoom(liveSessionId), presenterRoom(liveSessionId), _movedRoom(liveSessionId)];
+  await _publishState(liveSessionId, { type: 'ended', reason });
+  io.in(rooms).socketsLeave(rooms);
+
+  logger.info('Live session ended', { liveSessionId, reason });
+  return true;
+};
+
+// Apply a presenter's control action (see LIVE_SESSION_ACTIONS) and push
+// the new state. Returns { status, body } like the vote service, the body
+// holding the presenter's view of the session.
+export const controlLiveSession = async (user, { liveSessionId, action, pollId }, actor) => {
+  const { session, status, error } = await findPresentedSession(user, liveSessionId);
+
+  if (error) {
+    return _fail(status, error);
+  }
+
+  if (session.status === 'ended') {
+    return _fail(409, 'Live session has ended');
+  }
+
+  const index = session.polls.findIndex(poll => poll.id === session.currentPollId);
+  const current = index >= 0 ? session.polls[index] : null;
+  let result;
+
+  switch (action) {
+    case 'next':
+    case 'previous': {
+      const target = session.polls[action === 'next' ? index + 1 : index - 1];
+      if (!target) {
+        return _fail(409, `There is no ${action} poll`);
+      }
+      result = await _openPoll(session, current, target, actor);
+      break;
+    }
+
+    case 'goto': {
+      const target = session.polls.find(poll => poll.id === pollId);
+      if (!target) {
+        return _fail(404, 'Poll is not part of this live session');
+      }
+      result = await _openPoll(session, current, target, actor);
+      break;
+    }
+
+    case 'lock':
+    case 'unlock':
+    case 'reveal': {
+      if (!current) {
+        return _fail(409, 'No poll is open');
+      }
+
+      if (action === 'lock' && session.phase !== 'voting') {
+        return _fail(409, 'Voting is not open');
+      }
+      if (action === 'unlock' && session.phase !== 'locked') {
+        return _fail(409, 'Voting is not locked');
+      }
+      if (action === 'reveal' && session.phase === 'revealed') {
+        return _fail(409, 'Results are already revealed');
+      }
+
+      if (action === 'unlock') {
+        const failure = await _unlock(current);
+        if (failure) {
+          return failure;
+        }
+      } else if (!current.isClosed && !current.liveLockedAt) {
+        // Locking, and revealing, stop the votes without closing the poll
+        await _setLiveLock(current.id, true);
+      }
+
+      const phase = { lock: 'locked', unlock: 'voting', reveal: 'revealed' }[action];
+      await prisma.liveSession.update({
+        where: { id: liveSessionId },
+        data: { phase }
+      });
+      result = { change: { type: phase, pollId: current.id } };
+      break;
+    }
+
+    case 'end':
+      await endLiveSession(liveSessionId, 'presenter');
+      return { status: 200, body: { state: await getLiveState(liveSessionId, { forPresenter: true }) } };
+
+    default:
+      return _fail(400, `Unknown action "${action}"`);
+  }
+
+  if (result.status) {
+    return result;
+  }
+
+  await _publishState(liveSessionId, result.change);
+  return { status: 200, body: { state: await getLiveState(liveSessionId, { forPresenter: true }) } };
+};
+
+// Push the new state after the session's title or polls changed
+export const publishLiveSessionChange = (liveSessionId, change) => _publishState(liveSessionId, change);
+
+const _disarmPresenterTimer = (liveSessionId) => {
+  clearTimeout(timers.get(liveSessionId));
+  timers.delete(liveSessionId);
+};
+
+// Give an absent presenter the grace period to come back before a running
+// session ends. Another instance may have the presenter by then, so the
+// presenter room is checked again when the timer fires. Sessions that have
+// not started yet just wait.
+export const armPresenterTimer = (liveSessionId) => {
+  _disarmPresenterTimer(liveSessionId);
+
+  const timer = setTimeout(async () => {
+    timers.delete(liveSessionId);
+
+    try {
+      const [session, presenters] = await Promise.all([
+        prisma.liveSession.findUnique({ where: { id: liveSessionId }, select: { status: true } }),
+        io.in(presenterRoom(liveSessionId)).fetchSockets()
+      ]);
+
+      if (session && session.status === 'live' && presenters.length === 0) {
+        await endLiveSession(liveSessionId, 'presenter_left');
+      }
+    } catch (error) {
+      logger.error('Ending abandoned live session failed', { liveSessionId, error });
+    }
+  }, PRESENTER_GRACE_MS);
+
+  timers.set(liveSessionId, timer);
+};
+
+// A presenter socket (re)joined: it no longer needs the grace timer here
+export const presenterReturned = (liveSessionId) => _disarmPresenterTimer(liveSessionId);
+
+// Called once at boot. No presenter is connected after a restart, so every
+// running session gets the grace period to be picked up again.
+export const initLiveSessions = async (socketServer) => {
+  io = socketServer;
+
+  const running = await prisma.liveSession.findMany({
+    where: { status: 'live' },
+    select: { id: true }
+  });
+
+  running.forEach(session => armPresenterTimer(session.id));
+
+  return running.length;
+};
+
+// Stop every grace timer (used on shutdown)
+export const stopLiveSessions = () => {
+  timers.forEach(timer => clearTimeout(timer));
+  timers.clear();
+};
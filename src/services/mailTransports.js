@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import logger from '../config/logger.js';
+
+// Mail transports. A transport delivers one message at a time:
+// - send({ from, to, subject, text }) resolves once the message is handed off
+// - close() releases connections, if any
+// Anything with that shape can be passed to setMailTransport.
+
+// How long the mail service gets to accept a message
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+const _format = ({ from, to, subject, text }, date = new Date()) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  `Date: ${date.toUTCString()}`,
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  text
+].join('\n');
+
+// Log messages instead of sending them (default outside production)
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    logger.info('Mail', { to: message.to, subject: message.subject, text: message.text });
+  },
+  close: async () => {}
+});
+
+// POST each message as JSON ({ from, to, subject, text }) to a mail
+// service or relay, with `token` as a bearer token if given. Any 2xx
+// response counts as accepted.
+export const createHttpTransport = (url, token) => ({
+  name: 'http',
+  send: async (message) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail service responded with ${response.status}`);
+    }
+  },
+  close: async () => {}
+});
+
+// Write every message to its own .eml file in `dir`, named so that a
+// directory listing is in sending order (for tests and local inspection)
+export const createFileTransport = (dir) => ({
+  name: 'file',
+  send: async (message) => {
+    const date = new Date();
+    const fileName = `${date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+    await mkdir(dir, { recursive: true });
+    await writeFile(path.join(dir, fileName), _format(message, date));
+  },
+  close: async () => {}
+});
@@ -0,0 +1,73 @@
+import { MAIL_FROM, MAIL_LINK_BASE_URL } from '../config/mail.js';
+import { createConsoleTransport } from './mailTransports.js';
+import { TOKEN_TTL_MINUTES } from './userTokens.js';
+import logger from '../config/logger.js';
+
+let transport = null;
+
+// Use the transport chosen at startup; until then mail goes to the console
+export const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const _transport = () => {
+  if (!transport) {
+    transport = createConsoleTransport();
+  }
+  return transport;
+};
+
+const _link = (route, token) => `${MAIL_LINK_BASE_URL}${route}?token=${encodeURIComponent(token)}`;
+
+const _duration = (minutes) => (
+  minutes % 60 === 0 ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}` : `${minutes} minutes`
+);
+
+// Send a message. Mail is never worth failing a request over: errors are
+// logged and reported as false.
+export const sendMail = async ({ to, subject, text }) => {
+  try {
+    await _transport().send({ from: MAIL_FROM, to, subject, text });
+    return true;
+  } catch (error) {
+    logger.error('Mail error', { subject, error });
+    return false;
+  }
+};
+
+export const sendVerificationEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Verify your email address',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Please confirm your email address by opening this link:',
+    _link('/verify-email', token),
+    '',
+    `The link expires in ${_duration(TOKEN_TTL_MINUTES.email_verification)}.`
+  ].join('\n')
+});
+
+export const sendPasswordResetEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Reset your password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Someone asked to reset the password of your account. If it was you, open this link to choose a new one:',
+    _link('/reset-password', token),
+    '',
+    `The link expires in ${_duration(TOKEN_TTL_MINUTES.password_reset)} and works once. If you did not ask for it, ignore this email.`
+  ].join('\n')
+});
+
+export const sendPasswordChangedEmail = (user) => sendMail({
+  to: user.email,
+  subject: 'Your password was changed',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'The password of your account was just changed and your other sessions were signed out.',
+    'If this was not you, reset your password right away.'
+  ].join('\n')
+});
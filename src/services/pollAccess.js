@@ -0,0 +1,71 @@
+import prisma from '../config/database.js';
+import { canAccess } from '../policies/pollPolicy.js';
+
+// Poll fields the access check looks at
+export const pollAccessSelect = {
+  id: true,
+  userId: true,
+  isPublished: true,
+  visibility: true
+};
+
+// Access list entries naming the user, directly or through a group
+const _namesUser = (userId) => ({
+  OR: [
+    { userId },
+    { group: { members: { some: { userId } } } }
+  ]
+});
+
+// Listing filter for the published polls a viewer can find: public ones,
+// and restricted ones whose access list names them
+export const listedPollsFilter = (userId) => ({
+  OR: [
+    { visibility: 'public' },
+    ...(userId ? [{ visibility: 'restricted', access: { some: _namesUser(userId) } }] : [])
+  ]
+});
+
+export const isOnAccessList = async (userId, pollId) => Boolean(
+  await prisma.pollAccess.findFirst({
+    where: { pollId, ..._namesUser(userId) },
+    select: { id: true }
+  })
+);
+
+// IDs of every user on a poll's access list, directly or through a group
+export const accessListUserIds = async (pollId) => {
+  const entries = await prisma.pollAccess.findMany({
+    where: { pollId },
+    select: {
+      userId: true,
+      group: {
+        select: {
+          members: { select: { userId: true } }
+        }
+      }
+    }
+  });
+
+  return new Set(entries.flatMap(entry => (
+    entry.group ? entry.group.members.map(member => member.userId) : [entry.userId]
+  )));
+};
+
+// Apply the access policy to a user (absent for guests and anonymous
+// viewers), reading the access list only when it decides.
+// Resolves to null if access is granted, otherwise { status, error }.
+export const findAccessError = async (user, poll) => {
+  const needsAccessList = !canAccess(user, poll) && Boolean(user?.id) &&
+    poll.isPublished && poll.visibility === 'restricted';
+
+  const isMember = needsAccessList && await isOnAccessList(user.id, poll.id);
+
+  if (canAccess(user, poll, { isMember })) {
+    return null;
+  }
+
+  return poll.isPublished
+    ? { status: 403, error: 'You do not have access to this poll' }
+    : { status: 403, error: 'Poll is not published' };
+};
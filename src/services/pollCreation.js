@@ -0,0 +1,102 @@
+import prisma from '../config/database.js';
+import { schedulePoll } from './pollScheduler.js';
+import { pollSnapshot, recordAudit } from './auditLog.js';
+import { triggerWebhookEvent } from './webhookDelivery.js';
+import { isSingleChoice } from '../validation/pollSchemas.js';
+
+// Create a poll and its options from fields shaped like createPollBody,
+// then arm its closing timer, record it in the audit log and notify
+// webhooks if it is published. Shared by createPoll, cloning and templates.
+// `origin` is added to the audit entry, e.g. { clonedFromId }.
+// Resolves to the poll with its options and owner.
+export const createPollWithOptions = async (userId, fields, { actor, origin } = {}) => {
+  const {
+    question,
+    options,
+    isPublished,
+    visibility,
+    type,
+    minSelections,
+    maxSelections,
+    allowVoteChange,
+    resultsVisibility,
+    opensAt,
+    closesAt,
+    correctOptionIndex,
+    answerTimeLimit,
+    quizSessionId
+  } = fields;
+
+  // Selection bounds only apply to multiple-choice and ranked polls
+  const selectionBounds = isSingleChoice(type)
+    ? { minSelections: null, maxSelections: null }
+    : { minSelections: minSelections ?? 1, maxSelections: maxSelections ?? options.length };
+
+  // Create poll with options in a transaction
+  const poll = await prisma.$transaction(async (tx) => {
+    // Quiz questions join the end of their session
+    const quizPosition = quizSessionId
+      ? await tx.poll.count({ where: { quizSessionId } })
+      : null;
+
+    // Create the poll
+    const newPoll = await tx.poll.create({
+      data: {
+        question,
+        isPublished,
+        visibility,
+        type,
+        ...selectionBounds,
+        allowVoteChange,
+        resultsVisibility,
+        opensAt,
+        closesAt,
+        publishedAt: isPublished ? new Date() : null,
+        answerTimeLimit,
+        quizSessionId,
+        quizPosition,
+        userId
+      }
+    });
+
+    // Create poll options
+    await tx.pollOption.createMany({
+      data: options.map((optionText, position) => ({
+        text: optionText,
+        position,
+        isCorrect: position === correctOptionIndex,
+        pollId: newPoll.id
+      }))
+    });
+
+    // Return poll with options
+    return await tx.poll.findUnique({
+      where: { id: newPoll.id },
+      include: {
+        options: {
+          orderBy: { position: 'asc' }
+        },
+        user: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    });
+  });
+
+  schedulePoll(poll);
+
+  await recordAudit({
+    action: 'poll.create',
+    actor,
+    pollId: poll.id,
+    targetType: 'poll',
+    targetId: poll.id,
+    after: { ...pollSnapshot(poll), ...origin }
+  });
+
+  if (poll.isPublished) {
+    await triggerWebhookEvent('poll_published', poll, { poll: pollSnapshot(poll) });
+  }
+
+  return poll;
+};
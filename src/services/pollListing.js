@@ -0,0 +1,72 @@
+import { toSearchQuery } from '../utils/pagination.js';
+
+// Orderings for poll listings. Vote counts and activity come from the
+// counters the vote service keeps on each poll.
+export const POLL_SORT_ORDERS = {
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+  votes: [{ voterCount: 'desc' }, { id: 'desc' }],
+  activity: [{ lastActivityAt: 'desc' }, { id: 'desc' }]
+};
+
+const _statusFilter = (status, now) => {
+  switch (status) {
+    case 'open':
+      return {
+        isClosed: false,
+        AND: [
+          { OR: [{ opensAt: null }, { opensAt: { lte: now } }] },
+          { OR: [{ closesAt: null }, { closesAt: { gt: now } }] }
+        ]
+      };
+    case 'upcoming':
+      return { isClosed: false, opensAt: { gt: now } };
+    case 'closed':
+      return { OR: [{ isClosed: true }, { closesAt: { lte: now } }] };
+    default:
+      return null;
+  }
+};
+
+// Build the `where` filter for a poll listing from validated query filters.
+// `base` restricts the listing (published polls, or one user's polls) and
+// `userId` is the viewer, needed for the hasVoted filter.
+export const buildPollFilter = (base, filters, userId) => {
+  const conditions = [base];
+
+  if (filters.q) {
+    const search = toSearchQuery(filters.q);
+    conditions.push({
+      OR: [
+        { question: { search } },
+        { options: { some: { text: { search } } } }
+      ]
+    });
+  }
+
+  if (filters.creatorId) {
+    conditions.push({ userId: filters.creatorId });
+  }
+
+  const status = _statusFilter(filters.status, new Date());
+  if (status) {
+    conditions.push(status);
+  }
+
+  if (typeof filters.hasVoted === 'boolean') {
+    const votedOption = { votes: { some: { userId } } };
+    conditions.push({
+      options: filters.hasVoted ? { some: votedOption } : { none: votedOption }
+    });
+  }
+
+  if (filters.createdAfter || filters.createdBefore) {
+    conditions.push({
+      createdAt: {
+        ...(filters.createdAfter && { gte: filters.createdAfter }),
+        ...(filters.createdBefore && { lt: filters.createdBefore })
+      }
+    });
+  }
+
+  return { AND: conditions };
+};
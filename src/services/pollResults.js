@@ -0,0 +1,163 @@
+import prisma from '../config/database.js';
+import { runInstantRunoff } from '../utils/instantRunoff.js';
+
+// Key identifying a voter across users and guest sessions
+export const voterKeyOf = (vote) => vote.userId || `guest:${vote.guestSessionId}`;
+
+// Load the raw tally of a poll: its options, every voter's ballot (option IDs
+// in preference order) and the number of selections per option.
+// Returns null if the poll does not exist.
+export const loadTally = async (pollId, db = prisma) => {
+  const poll = await db.poll.findUnique({
+    where: { id: pollId },
+    include: {
+      options: {
+        select: { id: true, text: true, isCorrect: true },
+        orderBy: { position: 'asc' }
+      }
+    }
+  });
+
+  if (!poll) {
+    return null;
+  }
+
+  const votes = await db.vote.findMany({
+    where: { pollOption: { pollId } },
+    select: { userId: true, guestSessionId: true, pollOptionId: true, rank: true },
+    orderBy: { rank: 'asc' }
+  });
+
+  const tally = {
+    pollId: poll.id,
+    question: poll.question,
+    type: poll.type,
+    resultsVisibility: poll.resultsVisibility,
+    answerRevealedAt: poll.answerRevealedAt,
+    options: poll.options,
+    ballots: new Map(),
+    counts: new Map(poll.options.map(option => [option.id, 0]))
+  };
+
+  for (const vote of votes) {
+    const key = voterKeyOf(vote);
+    if (!tally.ballots.has(key)) {
+      tally.ballots.set(key, []);
+    }
+    tally.ballots.get(key).push(vote.pollOptionId);
+    tally.counts.set(vote.pollOptionId, (tally.counts.get(vote.pollOptionId) || 0) + 1);
+  }
+
+  return tally;
+};
+
+// Render a tally in the shape its poll type calls for
+export const renderResults = (tally) => {
+  if (tally.type === 'ranked') {
+    return _renderRankedResults(tally);
+  }
+
+  const countOf = (option) => tally.counts.get(option.id) || 0;
+  const totalVotes = tally.options.reduce((sum, option) => sum + countOf(option), 0);
+
+  if (tally.type === 'multiple') {
+    // Voters may pick several options, so percentages are relative to the
+    // number of voters rather than the number of selections
+    const totalVoters = tally.ballots.size;
+
+    return {
+      pollId: tally.pollId,
+      question: tally.question,
+      type: tally.type,
+      resultsVisibility: tally.resultsVisibility,
+      totalVotes,
+      totalVoters,
+      options: tally.options.map(option => ({
+        id: option.id,
+        text: option.text,
+        voteCount: countOf(option),
+        percentage: totalVoters > 0 ?
+          Math.round((countOf(option) / totalVoters) * 100) : 0
+      }))
+    };
+  }
+
+  // Quiz results mark the correct option once it has been revealed
+  const revealed = tally.type === 'quiz' && Boolean(tally.answerRevealedAt);
+
+  return {
+    pollId: tally.pollId,
+    question: tally.question,
+    type: tally.type,
+    resultsVisibility: tally.resultsVisibility,
+    totalVotes,
+    ...(tally.type === 'quiz' && { answerRevealed: revealed }),
+    options: tally.options.map(option => ({
+      id: option.id,
+      text: option.text,
+      voteCount: countOf(option),
+      percentage: totalVotes > 0 ?
+        Math.round((countOf(option) / totalVotes) * 100) : 0,
+      ...(revealed && { isCorrect: option.isCorrect })
+    }))
+  };
+};
+
+// Ranked results: first preferences per option plus the instant-runoff rounds
+const _renderRankedResults = (tally) => {
+  const ballots = [...tally.ballots.values()];
+
+  const { rounds, winner } = runInstantRunoff(
+    tally.options.map(option => option.id),
+    ballots
+  );
+
+  const firstPreferences = rounds.length > 0
+    ? new Map(rounds[0].tallies.map(entry => [entry.optionId, entry.votes]))
+    : new Map();
+  const eliminatedInRound = new Map();
+  rounds.forEach(round => {
+    round.eliminated.forEach(optionId => eliminatedInRound.set(optionId, round.round));
+  });
+
+  const totalVotes = ballots.length;
+
+  return {
+    pollId: tally.pollId,
+    question: tally.question,
+    type: tally.type,
+    resultsVisibility: tally.resultsVisibility,
+    totalVotes,
+    winner,
+    rounds,
+    options: tally.options.map(option => {
+      const voteCount = firstPreferences.get(option.id) || 0;
+      return {
+        id: option.id,
+        text: option.text,
+        voteCount,
+        percentage: totalVotes > 0 ?
+          Math.round((voteCount / totalVotes) * 100) : 0,
+        eliminatedInRound: eliminatedInRound.get(option.id) || null
+      };
+    })
+  };
+};
+
+// Results for viewers the poll's results policy hides the counts from:
+// the question and options, but no tallies
+export const redactResults = (results) => ({
+  pollId: results.pollId,
+  question: results.question,
+  type: results.type,
+  resultsVisibility: results.resultsVisibility,
+  resultsHidden: true,
+  options: results.options.map(option => ({ id: option.id, text: option.text }))
+});
+
+// Compute the current results of a poll straight from the database.
+// Pass a transaction client as `db` to read the tally inside a transaction.
+export const computePollResults = async (pollId, db = prisma) => {
+  const tally = await loadTally(pollId, db);
+  return tally ? renderResults(tally) : null;
+};
@@ -0,0 +1,105 @@
+import prisma from '../config/database.js';
+import { computePollResults } from './pollResults.js';
+import { emitResults, syncResultsAccess } from '../websocket/resultsAccess.js';
+import { triggerWebhookEvent } from './webhookDelivery.js';
+import logger from '../config/logger.js';
+
+// setTimeout overflows past ~24.8 days, so longer deadlines are re-armed in steps
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const timers = new Map();
+let io = null;
+
+// Close a poll now and announce the final results to its room. Closing
+// reveals the results of after_vote and after_close polls to everyone.
+// Returns the results, or null if the poll was already closed.
+export const closePoll = async (pollId) => {
+  unschedulePoll(pollId);
+
+  const closedAt = new Date();
+  const { count } = await prisma.poll.updateMany({
+    where: { id: pollId, isClosed: false },
+    data: { isClosed: true, closedAt }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const results = await computePollResults(pollId);
+
+  if (io) {
+    await syncResultsAccess(io, pollId);
+    emitResults(io, pollId, 'pollClosed', {
+      pollId,
+      closedAt,
+      results
+    });
+  }
+
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    select: { id: true, userId: true, question: true }
+  });
+
+  if (poll) {
+    await triggerWebhookEvent('poll_closed', poll, { closedAt, results });
+  }
+
+  logger.info('Poll closed', { pollId });
+  return results;
+};
+
+// Arm (or re-arm) the closing timer for a poll
+export const schedulePoll = (poll) => {
+  unschedulePoll(poll.id);
+
+  if (poll.isClosed || !poll.closesAt) {
+    return;
+  }
+
+  const delay = new Date(poll.closesAt).getTime() - Date.now();
+
+  const timer = setTimeout(() => {
+    if (delay > MAX_TIMEOUT) {
+      schedulePoll(poll);
+      return;
+    }
+
+    closePoll(poll.id).catch(error => {
+      logger.error('Scheduled poll close failed', { pollId: poll.id, error });
+    });
+  }, Math.max(0, Math.min(delay, MAX_TIMEOUT)));
+
+  timers.set(poll.id, timer);
+};
+
+// Cancel a poll's closing timer, if any
+export const unschedulePoll = (pollId) => {
+  clearTimeout(timers.get(pollId));
+  timers.delete(pollId);
+};
+
+// Recompute pending deadlines from the database. Called once at boot, so
+// polls whose deadline passed while the server was down close immediately.
+export const initPollScheduler = async (socketServer) => {
+  io = socketServer;
+
+  const pendingPolls = await prisma.poll.findMany({
+    where: {
+      isClosed: false,
+      closesAt: { not: null }
+    },
+    select: { id: true, closesAt: true, isClosed: true }
+  });
+
+  pendingPolls.forEach(schedulePoll);
+
+  return pendingPolls.length;
+};
+
+// Stop every pending timer (used on shutdown)
+export const stopPollScheduler = () => {
+  timers.forEach(timer => clearTimeout(timer));
+  timers.clear();
+};
@@ -0,0 +1,214 @@
+import prisma from '../config/database.js';
+import { can } from '../policies/quizSessionPolicy.js';
+import { findAccessError, pollAccessSelect } from './pollAccess.js';
+import { voterKeyOf } from './pollResults.js';
+import logger from '../config/logger.js';
+
+// Quiz scoring. A correct answer is worth MAX_POINTS; on polls with an
+// answerTimeLimit half of that is a speed bonus that shrinks linearly from
+// the moment the question opened until the limit. Wrong answers score 0.
+// Only revealed questions count towards a session's leaderboard, so it
+// never gives away an answer early.
+export const MAX_POINTS = 1000;
+export const LEADERBOARD_SIZE = 50;
+
+// When a quiz question started: its publication, or its opening time if later
+export const questionStartedAt = (poll) => {
+  const times = [poll.publishedAt, poll.opensAt].filter(Boolean).map(time => new Date(time));
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+// Points for one answer. `correctOptionIds` is a Set of the poll's correct
+// option IDs; `vote` needs pollOptionId and createdAt.
+export const scoreAnswer = (poll, correctOptionIds, vote) => {
+  if (!correctOptionIds.has(vote.pollOptionId)) {
+    return 0;
+  }
+
+  const startedAt = questionStartedAt(poll);
+  if (!poll.answerTimeLimit || !startedAt) {
+    return MAX_POINTS;
+  }
+
+  const elapsedSeconds = (new Date(vote.createdAt) - startedAt) / 1000;
+  const speed = Math.min(1, Math.max(0, 1 - elapsedSeconds / poll.answerTimeLimit));
+  return Math.round(MAX_POINTS / 2 + (MAX_POINTS / 2) * speed);
+};
+
+const _voterName = (vote) => (
+  vote.user ? vote.user.name : `Guest ${vote.guestSessionId.slice(-6)}`
+);
+
+// Rank entries by score, then by correct answers, then by how fast they
+// were given. Entries tied on all three share a rank.
+const _rank = (entries) => {
+  const sorted = entries.sort((a, b) =>
+    b.score - a.score ||
+    b.correctAnswers - a.correctAnswers ||
+    a.totalAnswerMs - b.totalAnswerMs
+  );
+
+  return sorted.map((entry, index) => {
+    const previous = sorted[index - 1];
+    const tied = previous &&
+      previous.score === entry.score &&
+      previous.correctAnswers === entry.correctAnswers &&
+      previous.totalAnswerMs === entry.totalAnswerMs;
+
+    entry.rank = tied ? previous.rank : index + 1;
+    return entry;
+  });
+};
+
+// Compute a quiz session's leaderboard over its revealed questions.
+// Resolves to null if the session does not exist.
+export const computeLeaderboard = async (quizSessionId, { limit = LEADERBOARD_SIZE } = {}) => {
+  const session = await prisma.quizSession.findUnique({
+    where: { id: quizSessionId },
+    select: {
+      id: true,
+      title: true,
+      polls: {
+        select: {
+          id: true,
+          question: true,
+          answerTimeLimit: true,
+          publishedAt: true,
+          opensAt: true,
+          answerRevealedAt: true,
+          options: {
+            where: { isCorrect: true },
+            select: { id: true }
+          }
+        },
+        orderBy: [{ quizPosition: 'asc' }, { createdAt: 'asc' }]
+      }
+    }
+  });
+
+  if (!session) {
+    return null;
+  }
+
+  const revealed = session.polls.filter(poll => poll.answerRevealedAt);
+  const pollsById = new Map(revealed.map(poll => [poll.id, {
+    poll,
+    correctOptionIds: new Set(poll.options.map(option => option.id))
+  }]));
+
+  const votes = revealed.length > 0
+    ? await prisma.vote.findMany({
+      where: { pollOption: { pollId: { in: [...pollsById.keys()] } } },
+      select: {
+        userId: true,
+        guestSessionId: true,
+        pollOptionId: true,
+        createdAt: true,
+        user: { select: { name: true } },
+        pollOption: { select: { pollId: true } }
+      }
+    })
+    : [];
+
+  const entries = new Map();
+
+  for (const vote of votes) {
+    const key = voterKeyOf(vote);
+    if (!entries.has(key)) {
+      entries.set(key, {
+        voter: {
+          id: vote.userId,
+          name: _voterName(vote),
+          isGuest: !vote.userId
+        },
+        score: 0,
+        correctAnswers: 0,
+        answered: 0,
+        totalAnswerMs: 0
+      });
+    }
+
+    const { poll, correctOptionIds } = pollsById.get(vote.pollOption.pollId);
+    const entry = entries.get(key);
+    const points = scoreAnswer(poll, correctOptionIds, vote);
+    const startedAt = questionStartedAt(poll);
+
+    entry.score += points;
+    entry.answered += 1;
+    entry.correctAnswers += points > 0 ? 1 : 0;
+    entry.totalAnswerMs += startedAt ? Math.max(0, new Date(vote.createdAt) - startedAt) : 0;
+  }
+
+  const ranked = _rank([...entries.values()]);
+
+  return {
+    quizSessionId: session.id,
+    title: session.title,
+    questionCount: session.polls.length,
+    revealedCount: revealed.length,
+    participantCount: ranked.length,
+    entries: ranked.slice(0, limit).map(({ rank, totalAnswerMs, ...entry }) => ({
+      rank,
+      ...entry,
+      averageAnswerMs: entry.answered > 0 ? Math.round(totalAnswerMs / entry.answered) : null
+    }))
+  };
+};
+
+// Load a quiz session a viewer may follow: its host and staff, and anyone
+// who may open one of its published questions (guests: the question their
+// share link is for). `voter` is { user } or { guest }.
+// Returns { session } or { status, error }.
+export const findViewableSession = async (voter, quizSessionId) => {
+  const session = await prisma.quizSession.findUnique({
+    where: { id: quizSessionId },
+    select: {
+      id: true,
+      userId: true,
+      title: true,
+      polls: {
+        where: { isPublished: true },
+        select: pollAccessSelect
+      }
+    }
+  });
+
+  if (!session) {
+    return { status: 404, error: 'Quiz session not found' };
+  }
+
+  let isParticipant = false;
+  for (const poll of session.polls) {
+    if (voter.guest && voter.guest.pollId !== poll.id) {
+      continue;
+    }
+
+    if (!(await findAccessError(voter.user, poll))) {
+      isParticipant = true;
+      break;
+    }
+  }
+
+  // Sessions the viewer cannot follow are reported as missing
+  if (!can(voter.user, 'view', session, { isParticipant })) {
+    return { status: 404, error: 'Quiz session not found' };
+  }
+
+  return { session };
+};
+
+// Push a session's leaderboard to the sockets following it, e.g. after one
+// of its questions was revealed (`change` says what happened). Never throws.
+export const publishLeaderboard = async (io, quizSessionId, change) => {
+  try {
+    const leaderboard = await computeLeaderboard(quizSessionId);
+
+    if (leaderboard) {
+      io.to(`quiz-${quizSessionId}`).emit('leaderboardUpdate', { quizSessionId, leaderboard, change });
+    }
+    return leaderboard;
+  } catch (error) {
+    logger.error('Leaderboard update error', { quizSessionId, error });
+    return null;
+  }
+};
@@ -0,0 +1,82 @@
+// Counter stores for rate limiting. A store counts hits per key in fixed
+// windows that start with the first hit:
+// - hit(key, windowMs) resolves to { count, resetAt } after counting the hit
+// - get(key) resolves to { count, resetAt }, or null if the window is over
+// - reset(key) forgets the key
+// - close() releases timers and connections
+
+// Counters in this process only (default)
+export const createMemoryStore = () => {
+  const counters = new Map(); // key -> { count, resetAt }
+
+  const _current = (key) => {
+    const counter = counters.get(key);
+
+    if (counter && counter.resetAt > Date.now()) {
+      return counter;
+    }
+
+    counters.delete(key);
+    return null;
+  };
+
+  // Drop expired windows so idle keys do not pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  }, 60 * 1000).unref();
+
+  return {
+    name: 'memory',
+    hit: async (key, windowMs) => {
+      const counter = _current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      counter.count++;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+    get: async (key) => {
+      const counter = _current(key);
+      return counter ? { ...counter } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+    close: async () => {
+      clearInterval(sweeper);
+      counters.clear();
+    }
+  };
+};
+
+// Counters shared by every instance connected to the same Redis
+export const createRedisStore = (client, prefix = 'ratelimit:') => ({
+  name: 'redis',
+  hit: async (key, windowMs) => {
+    // The SET only succeeds for the first hit, which starts the window
+    const [, count, ttl] = await client.multi()
+      .set(prefix + key, '0', { PX: windowMs, NX: true })
+      .incr(prefix + key)
+      .pTTL(prefix + key)
+      .exec();
+
+    return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+  },
+  get: async (key) => {
+    const [count, ttl] = await client.multi()
+      .get(prefix + key)
+      .pTTL(prefix + key)
+      .exec();
+
+    return count === null ? null : { count: Number(count), resetAt: Date.now() + Math.max(ttl, 0) };
+  },
+  reset: async (key) => {
+    await client.del(prefix + key);
+  },
+  close: async () => {
+    await client.quit();
+  }
+});
@@ -0,0 +1,62 @@
+import { RATE_LIMITS, LOGIN_LOCKOUT } from '../config/rateLimit.js';
+import { createMemoryStore } from './rateLimitStores.js';
+
+let store = null;
+
+// Use the store chosen at startup; until then counters live in memory
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+const _store = () => {
+  if (!store) {
+    store = createMemoryStore();
+  }
+  return store;
+};
+
+const _secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Count a hit against a named limit for a key.
+// Resolves to { allowed, retryAfter } with retryAfter in seconds.
+export const consume = async (limitName, key) => {
+  const { max, windowMs } = RATE_LIMITS[limitName];
+  const { count, resetAt } = await _store().hit(`${limitName}:${key}`, windowMs);
+
+  return { allowed: count <= max, retryAfter: _secondsUntil(resetAt) };
+};
+
+// Key counting a voter (`{ user }` or `{ guest }`) across REST and sockets
+export const voterLimitKey = (voter) => (
+  voter.guest ? `guest:${voter.guest.id}` : `user:${voter.user.id}`
+);
+
+const _accountKey = (email) => String(email).toLowerCase();
+
+// Seconds until a locked account may try again, or 0 if it is not locked
+export const getLoginLock = async (email) => {
+  const lock = await _store().get(`login-lock:${_accountKey(email)}`);
+  return lock ? _secondsUntil(lock.resetAt) : 0;
+};
+
+// Record a failed login and lock the account once failures pile up
+export const recordLoginFailure = async (email) => {
+  const account = _accountKey(email);
+  const { count } = await _store().hit(`login-failures:${account}`, LOGIN_LOCKOUT.failureWindowMs);
+
+  if (count >= LOGIN_LOCKOUT.threshold) {
+    const lockMs = Math.min(
+      LOGIN_LOCKOUT.baseMs * 2 ** (count - LOGIN_LOCKOUT.threshold),
+      LOGIN_LOCKOUT.maxMs
+    );
+    await _store().hit(`login-lock:${account}`, lockMs);
+  }
+};
+
+export const clearLoginFailures = async (email) => {
+  const account = _accountKey(email);
+  await Promise.all([
+    _store().reset(`login-failures:${account}`),
+    _store().reset(`login-lock:${account}`)
+  ]);
+};
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../config/database.js';
+import { claimInvitations } from './invitations.js';
+
+// Access tokens are short-lived JWTs tied to a server-side session.
+// Refresh tokens are opaque "<sessionId>.<secret>" strings; only a hash of
+// the secret is stored, and it is replaced every time the token is used.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const _hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const _newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const _refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const _issueTokens = (session, secret) => ({
+  token: jwt.sign(
+    { userId: session.userId, sessionId: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  ),
+  refreshToken: `${session.id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a session for a user who just registered or logged in
+export const createSession = async (userId) => {
+  const secret = _newSecret();
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      refreshTokenHash: _hashSecret(secret),
+      expiresAt: _refreshExpiry()
+    }
+  });
+
+  return _issueTokens(session, secret);
+};
+
+// Exchange a refresh token for a new access token and refresh token.
+// Presenting an already-rotated refresh token means it was copied, so the
+// whole session is revoked. Returns { tokens } or { status, error }.
+export const refreshSession = async (refreshToken, io) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+  if (!sessionId || !secret) {
+    return { status: 400, error: 'Refresh token is required' };
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    include: {
+      user: {
+        select: { id: true, email: true, suspendedAt: true, emailVerifiedAt: true }
+      }
+    }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date() ||
+      session.user.suspendedAt) {
+    return { status: 401, error: 'Invalid or expired refresh token' };
+  }
+
+  if (session.refreshTokenHash !== _hashSecret(secret)) {
+    await revokeSession(session.id, io);
+    return { status: 401, error: 'Refresh token reuse detected; session revoked' };
+  }
+
+  const nextSecret = _newSecret();
+
+  // Only rotate if nobody else rotated first, so concurrent refreshes cannot both succeed
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash },
+    data: {
+      refreshTokenHash: _hashSecret(nextSecret),
+      expiresAt: _refreshExpiry(),
+      lastUsedAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    return { status: 401, error: 'Invalid or expired refresh token' };
+  }
+
+  // Pick up invitations sent since the user signed in
+  await claimInvitations(session.user);
+
+  return { tokens: _issueTokens(session, nextSecret) };
+};
+
+// Revoke one session and disconnect the sockets opened with it
+export const revokeSession = async (sessionId, io) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  io.in(`session-${sessionId}`).disconnectSockets(true);
+};
+
+// Revoke every session of a user and disconnect all of their sockets
+export const revokeAllSessions = async (userId, io) => {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+
+  io.in(`user-${userId}`).disconnectSockets(true);
+
+  return count;
+};
+
+// Revoke every session of a user but one (e.g. after they changed their
+// password in it) and disconnect the sockets opened with the others
+export const revokeOtherSessions = async (userId, keepSessionId, io) => {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null, id: { not: keepSessionId } },
+    data: { revokedAt: new Date() }
+  });
+
+  io.in(`user-${userId}`).except(`session-${keepSessionId}`).disconnectSockets(true);
+
+  return count;
+};
+
+// Resolve the session an access token belongs to, with its user.
+// Returns null unless the session is still active.
+export const findActiveSession = async (decoded) => {
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sessionId },
+    include: {
+      user: {
+        select: { id: true, name: true, email: true, role: true, suspendedAt: true, emailVerifiedAt: true }
+      }
+    }
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date() ||
+      session.userId !== decoded.userId || session.user.suspendedAt) {
+    return null;
+  }
+
+  return session;
+};
@@ -0,0 +1,112 @@
+import { loadTally, renderResults } from './pollResults.js';
+
+// In-memory cache of per-poll tallies, updated incrementally as ballots
+// change instead of re-counting every vote in the database.
+// Entries expire after TALLY_CACHE_TTL_MS so writes made outside this
+// process (seeds, manual fixes) are eventually picked up.
+const MAX_ENTRIES = parseInt(process.env.TALLY_CACHE_SIZE, 10) || 1000;
+const TTL_MS = parseInt(process.env.TALLY_CACHE_TTL_MS, 10) || 10 * 60 * 1000;
+
+const entries = new Map(); // pollId -> { tally, loadedAt }, in least-recently-used order
+const loading = new Map(); // pollId -> { promise, stale }
+
+const _store = (pollId, tally) => {
+  entries.delete(pollId);
+  entries.set(pollId, { tally, loadedAt: Date.now() });
+
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+// Load a tally from the database. A ballot change arriving mid-load may or
+// may not be in the snapshot, so the load is repeated until none does.
+const _load = (pollId) => {
+  if (loading.has(pollId)) {
+    return loading.get(pollId).promise;
+  }
+
+  const pending = { stale: false };
+  pending.promise = (async () => {
+    try {
+      let tally;
+      do {
+        pending.stale = false;
+        tally = await loadTally(pollId);
+      } while (pending.stale);
+
+      if (tally) {
+        _store(pollId, tally);
+      } else {
+        entries.delete(pollId);
+      }
+      return tally;
+    } finally {
+      loading.delete(pollId);
+    }
+  })();
+
+  loading.set(pollId, pending);
+  return pending.promise;
+};
+
+const _getTally = (pollId) => {
+  const entry = entries.get(pollId);
+
+  if (entry && Date.now() - entry.loadedAt < TTL_MS) {
+    // Mark as recently used
+    entries.delete(pollId);
+    entries.set(pollId, entry);
+    return Promise.resolve(entry.tally);
+  }
+
+  return _load(pollId);
+};
+
+// Get a poll's results from the cache, loading it on a miss.
+// Resolves to null if the poll does not exist.
+export const getCachedResults = async (pollId) => {
+  const tally = await _getTally(pollId);
+  return tally ? renderResults(tally) : null;
+};
+
+// Apply a ballot change: `ballot` is the voter's new list of option IDs, or
+// null when the vote was withdrawn. Setting the ballot (rather than adding
+// and subtracting counts) makes applying the same change twice harmless.
+export const applyBallotChange = ({ pollId, voterKey, ballot }) => {
+  const pending = loading.get(pollId);
+  if (pending) {
+    pending.stale = true;
+    return;
+  }
+
+  const entry = entries.get(pollId);
+  if (!entry) {
+    return;
+  }
+
+  const { tally } = entry;
+  const previous = tally.ballots.get(voterKey) || [];
+  previous.forEach(optionId => {
+    tally.counts.set(optionId, (tally.counts.get(optionId) || 0) - 1);
+  });
+
+  if (ballot) {
+    tally.ballots.set(voterKey, ballot);
+    ballot.forEach(optionId => {
+      tally.counts.set(optionId, (tally.counts.get(optionId) || 0) + 1);
+    });
+  } else {
+    tally.ballots.delete(voterKey);
+  }
+};
+
+// Drop a cached tally, e.g. after the poll's options change or it is deleted
+export const invalidateTally = (pollId) => {
+  entries.delete(pollId);
+
+  const pending = loading.get(pollId);
+  if (pending) {
+    pending.stale = true;
+  }
+};
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+
+// Single-use tokens sent by email to verify an address or reset a
+// password. Only a hash is stored, so a database leak does not hand out
+// working links. Issuing a token voids the user's earlier unused ones of
+// the same type.
+export const TOKEN_TTL_MINUTES = {
+  email_verification: (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60,
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+};
+
+const _hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for the user. Resolves to the token itself, which only
+// ever leaves the server in an email.
+export const issueUserToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: now }
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: _hash(token),
+        expiresAt: new Date(now.getTime() + TOKEN_TTL_MINUTES[type] * 60 * 1000)
+      }
+    })
+  ]);
+
+  return token;
+};
+
+// Use up a token. Only the first of concurrent attempts succeeds.
+// Resolves to the user ID, or null if the token is unknown, used or expired.
+export const consumeUserToken = async (token, type) => {
+  const tokenHash = _hash(token);
+  const now = new Date();
+
+  const { count } = await prisma.userToken.updateMany({
+    where: { tokenHash, type, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const { userId } = await prisma.userToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true }
+  });
+
+  return userId;
+};
@@ -0,0 +1,116 @@
+import prisma from '../config/database.js';
+
+// Supported bucket sizes, in milliseconds
+export const HISTORY_INTERVALS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Refuse series longer than this rather than build a huge response
+const MAX_BUCKETS = 10000;
+
+// Start of the (UTC) bucket containing `date`
+export const bucketStart = (date, interval) => {
+  const size = HISTORY_INTERVALS[interval];
+  return new Date(Math.floor(date.getTime() / size) * size);
+};
+
+const _emptyCounts = (options) => Object.fromEntries(options.map(option => [option.id, 0]));
+
+// Per-option vote counts bucketed by interval over the poll's lifetime,
+// from creation until it closed (or now), with running totals.
+// Only votes currently standing are counted: changed or withdrawn votes
+// disappear from the bucket they were cast in.
+// Returns null if the series would exceed MAX_BUCKETS.
+export const loadVoteHistory = async (poll, interval) => {
+  const size = HISTORY_INTERVALS[interval];
+  const first = bucketStart(poll.createdAt, interval);
+  const last = bucketStart(poll.closedAt || new Date(), interval);
+  const bucketCount = Math.floor((last - first) / size) + 1;
+
+  if (bucketCount > MAX_BUCKETS) {
+    return null;
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT date_trunc(${interval}, v."createdAt") AS "bucket",
+           v."pollOptionId" AS "optionId",
+           COUNT(*)::int AS "count"
+    FROM "votes" v
+    JOIN "poll_options" o ON o."id" = v."pollOptionId"
+    WHERE o."pollId" = ${poll.id}
+    GROUP BY 1, 2
+  `;
+
+  const countsByBucket = new Map();
+  for (const row of rows) {
+    const key = row.bucket.getTime();
+    if (!countsByBucket.has(key)) {
+      countsByBucket.set(key, {});
+    }
+    countsByBucket.get(key)[row.optionId] = row.count;
+  }
+
+  const cumulative = _emptyCounts(poll.options);
+  let cumulativeTotal = 0;
+  const buckets = [];
+
+  for (let index = 0; index < bucketCount; index++) {
+    const start = first.getTime() + index * size;
+    const counts = { ..._emptyCounts(poll.options), ...countsByBucket.get(start) };
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    Object.entries(counts).forEach(([optionId, count]) => {
+      cumulative[optionId] = (cumulative[optionId] || 0) + count;
+    });
+    cumulativeTotal += total;
+
+    buckets.push({
+      start: new Date(start),
+      counts,
+      total,
+      cumulative: { ...cumulative },
+      cumulativeTotal
+    });
+  }
+
+  return {
+    pollId: poll.id,
+    interval,
+    options: poll.options.map(option => ({ id: option.id, text: option.text })),
+    buckets
+  };
+};
+
+// The bucket currently filling up, with running totals, for live updates
+export const loadCurrentBucket = async (pollId, interval) => {
+  const start = bucketStart(new Date(), interval);
+  const where = { pollOption: { pollId } };
+
+  const [inBucket, overall] = await Promise.all([
+    prisma.vote.groupBy({
+      by: ['pollOptionId'],
+      where: { ...where, createdAt: { gte: start } },
+      _count: { _all: true }
+    }),
+    prisma.vote.groupBy({
+      by: ['pollOptionId'],
+      where,
+      _count: { _all: true }
+    })
+  ]);
+
+  const toCounts = (groups) => Object.fromEntries(
+    groups.map(group => [group.pollOptionId, group._count._all])
+  );
+  const sum = (groups) => groups.reduce((total, group) => total + group._count._all, 0);
+
+  return {
+    start,
+    counts: toCounts(inBucket),
+    total: sum(inBucket),
+    cumulative: toCounts(overall),
+    cumulativeTotal: sum(overall)
+  };
+};
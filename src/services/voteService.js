@@ -0,0 +1,638 @@
+import prisma from '../config/database.js';
+import { redactResults, voterKeyOf } from './pollResults.js';
+import { getCachedResults } from './tallyCache.js';
+import { HISTORY_INTERVALS, loadVoteHistory } from './voteHistory.js';
+import { publishBallotChange } from '../websocket/pollUpdates.js';
+import { syncResultsAccess, voterRoom } from '../websocket/resultsAccess.js';
+import { canSeeResults } from '../policies/pollPolicy.js';
+import { findAccessError, pollAccessSelect } from './pollAccess.js';
+import { recordAudit } from './auditLog.js';
+import { triggerWebhookEvent } from './webhookDelivery.js';
+import { isSingleChoice } from '../validation/pollSchemas.js';
+import logger from '../config/logger.js';
+import { votesTotal } from '../config/metrics.js';
+
+// Voting logic shared by the REST controllers and the socket handlers.
+// Every function takes the voter as `{ user }` or `{ guest }` (plus the `ip`
+// the request came from, for the audit log) and resolves to
+// `{ status, body }`: the HTTP status and JSON body the REST API responds with.
+// Unexpected errors are thrown for the caller to report.
+
+// Reject changes to a poll that has closed. The closesAt check covers the
+// moment before the scheduler has caught up.
+export const checkPollClosed = (poll) => {
+  if (poll.isClosed || (poll.closesAt && poll.closesAt <= new Date())) {
+    return { status: 403, error: 'Poll is closed' };
+  }
+
+  return null;
+};
+
+// Reject votes outside the poll's voting window, or while a live session
+// holds voting locked.
+const _checkVotingWindow = (poll) => {
+  const now = new Date();
+
+  const closedError = checkPollClosed(poll);
+  if (closedError) {
+    return closedError;
+  }
+
+  if (poll.liveLockedAt) {
+    return { status: 403, error: 'Voting is locked' };
+  }
+
+  if (poll.opensAt && poll.opensAt > now) {
+    return { status: 403, error: 'Poll is not open for voting yet' };
+  }
+
+  return null;
+};
+
+// Validate a ballot against its poll's type and selection bounds.
+// Returns { poll } on success or { status, error } describing the rejection.
+const _validateBallot = async (pollOptionIds) => {
+  if (pollOptionIds.length === 0) {
+    return { status: 400, error: 'Poll option ID is required' };
+  }
+
+  if (new Set(pollOptionIds).size !== pollOptionIds.length) {
+    return { status: 400, error: 'Each option can only be selected once' };
+  }
+
+  const pollOptions = await prisma.pollOption.findMany({
+    where: { id: { in: pollOptionIds } },
+    include: {
+      poll: {
+        select: {
+          id: true,
+          userId: true,
+          isPublished: true,
+          visibility: true,
+          question: true,
+          type: true,
+          minSelections: true,
+          maxSelections: true,
+          allowVoteChange: true,
+          resultsVisibility: true,
+          opensAt: true,
+          closesAt: true,
+          isClosed: true,
+          liveLockedAt: true
+        }
+      }
+    }
+  });
+
+  if (pollOptions.length !== pollOptionIds.length) {
+    return { status: 404, error: 'Poll option not found' };
+  }
+
+  const poll = pollOptions[0].poll;
+
+  if (pollOptions.some(option => option.pollId !== poll.id)) {
+    return { status: 400, error: 'All options must belong to the same poll' };
+  }
+
+  if (!poll.isPublished) {
+    return { status: 403, error: 'Cannot vote on unpublished poll' };
+  }
+
+  const windowError = _checkVotingWindow(poll);
+  if (windowError) {
+    return windowError;
+  }
+
+  if (isSingleChoice(poll.type) && pollOptionIds.length !== 1) {
+    return { status: 400, error: 'This poll accepts exactly one option' };
+  }
+
+  if (!isSingleChoice(poll.type) &&
+      (pollOptionIds.length < poll.minSelections || pollOptionIds.length > poll.maxSelections)) {
+    return {
+      status: 400,
+      error: `Select between ${poll.minSelections} and ${poll.maxSelections} options`
+    };
+  }
+
+  return { poll };
+};
+
+// Ranked and multiple-choice ballots send an ordered list of option IDs;
+// single-choice clients may keep sending a lone pollOptionId
+const _parseBallot = ({ pollOptionId, pollOptionIds }) => (
+  Array.isArray(pollOptionIds)
+    ? pollOptionIds
+    : (pollOptionId ? [pollOptionId] : [])
+);
+
+// Identify the voter: a registered user, or a guest session issued through
+// a poll's share link. The result doubles as a `where` filter and vote data.
+const _voterFields = (voter) => (
+  voter.guest ? { guestSessionId: voter.guest.id } : { userId: voter.user.id }
+);
+
+// Guest sessions are bound to the poll they were issued for
+const _isForeignPoll = (voter, pollId) => Boolean(voter.guest) && voter.guest.pollId !== pollId;
+
+const _fail = (status, error) => ({ status, body: { error } });
+
+// With REQUIRE_VERIFIED_EMAIL_TO_VOTE=true, accounts must confirm their email
+// address before they vote. Share-link guests have no account and are not affected.
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL_TO_VOTE === 'true';
+
+// Resolves to null or a failed result
+const _checkVerified = async (voter) => {
+  if (!REQUIRE_VERIFIED_EMAIL || !voter.user || voter.user.emailVerifiedAt) {
+    return null;
+  }
+
+  // Sockets keep the user they connected as, who may have verified since
+  const user = await prisma.user.findUnique({
+    where: { id: voter.user.id },
+    select: { emailVerifiedAt: true }
+  });
+
+  return user && user.emailVerifiedAt ? null : _fail(403, 'Verify your email address to vote');
+};
+
+// Apply the poll's visibility (and access list) to a voter.
+// Resolves to null or a failed result.
+const _checkAccess = async (voter, poll) => {
+  const accessError = await findAccessError(voter.user, poll);
+  return accessError && _fail(accessError.status, accessError.error);
+};
+
+// Record a ballot change in the audit log
+const _auditBallot = (action, voter, pollId, before, after) => recordAudit({
+  action,
+  actor: {
+    actorId: voter.user?.id,
+    guestSessionId: voter.guest?.id,
+    ip: voter.ip
+  },
+  pollId,
+  targetType: 'vote',
+  before: before && { optionIds: before },
+  after: after && { optionIds: after }
+});
+
+// Serialize ballot changes and option edits on a poll until the transaction
+// ends. The unique constraint only covers (voter, option), so without the
+// lock two ballots from one voter with different options could both be
+// cast. Resolves to the poll's voting window as of the lock, or undefined if
+// the poll is gone.
+export const lockPoll = async (tx, pollId) => {
+  const [poll] = await tx.$queryRaw`
+    SELECT "id", "isClosed", "opensAt", "closesAt", "liveLockedAt"
+    FROM "polls" WHERE "id" = ${pollId} FOR UPDATE
+  `;
+  return poll;
+};
+
+// Lock the poll and check its voting window again: the poll may have
+// closed, or a live session locked voting, while the ballot waited for the
+// lock. Resolves to null or { status, error }.
+const _lockOpenPoll = async (tx, pollId) => {
+  const poll = await lockPoll(tx, pollId);
+  return poll ? _checkVotingWindow(poll) : { status: 404, error: 'Poll not found' };
+};
+
+// The voter's current ballot in a poll, in ballot order
+const _currentBallot = async (tx, voterFields, pollId) => {
+  const votes = await tx.vote.findMany({
+    where: { ...voterFields, pollOption: { pollId } },
+    select: { pollOptionId: true },
+    orderBy: [{ rank: 'asc' }, { createdAt: 'asc' }]
+  });
+  return votes.map(vote => vote.pollOptionId);
+};
+
+const GUEST_POLL_MISMATCH = 'Guest session is not valid for this poll';
+
+// Poll fields the access and results policies look at
+const resultsAccessSelect = {
+  ...pollAccessSelect,
+  resultsVisibility: true,
+  isClosed: true,
+  closesAt: true
+};
+
+// Apply a poll's results policy to a voter
+const _maySeeResults = async (voter, poll) => {
+  if (poll.resultsVisibility === 'always') {
+    return true;
+  }
+
+  const hasVoted = poll.resultsVisibility === 'after_vote' && Boolean(
+    await prisma.vote.findFirst({
+      where: { ..._voterFields(voter), pollOption: { pollId: poll.id } },
+      select: { id: true }
+    })
+  );
+
+  return canSeeResults(voter.user, poll, { hasVoted });
+};
+
+const voteInclude = {
+  user: {
+    select: { id: true, name: true }
+  },
+  // Selected explicitly so a quiz answer's isCorrect stays hidden
+  pollOption: {
+    select: {
+      id: true,
+      text: true,
+      position: true,
+      pollId: true,
+      poll: {
+        select: { id: true, question: true }
+      }
+    }
+  }
+};
+
+// Create one vote row per selected option, in ballot order
+const _createBallotVotes = async (tx, poll, voter, ballot) => {
+  const votes = [];
+  for (const [index, optionId] of ballot.entries()) {
+    votes.push(await tx.vote.create({
+      data: {
+        ...voter,
+        pollOptionId: optionId,
+        rank: poll.type === 'ranked' ? index + 1 : null
+      },
+      include: voteInclude
+    }));
+  }
+  return votes;
+};
+
+// Keep the poll's listing counters in step with its ballots
+const _recordActivity = (tx, pollId, voterDelta) => tx.poll.update({
+  where: { id: pollId },
+  data: {
+    voterCount: { increment: voterDelta },
+    lastActivityAt: new Date()
+  }
+});
+
+const _formatVote = (vote) => ({
+  id: vote.id,
+  createdAt: vote.createdAt,
+  rank: vote.rank,
+  user: vote.user,
+  guestSessionId: vote.guestSessionId,
+  pollOption: vote.pollOption
+});
+
+// Tell the poll owner's webhooks about a new ballot, with the updated results
+const _notifyWebhooks = async (poll, ballot) => {
+  const results = await getCachedResults(poll.id);
+  await triggerWebhookEvent('vote_cast', poll, { optionIds: ballot, results });
+};
+
+// Cast a new vote
+export const castVote = async (voter, payload, io) => {
+  const ballot = _parseBallot(payload);
+
+  const { poll, status, error } = await _validateBallot(ballot);
+
+  if (error) {
+    return _fail(status, error);
+  }
+
+  if (_isForeignPoll(voter, poll.id)) {
+    return _fail(403, GUEST_POLL_MISMATCH);
+  }
+
+  const accessFailure = await _checkAccess(voter, poll) || await _checkVerified(voter);
+  if (accessFailure) {
+    return accessFailure;
+  }
+
+  const voterFields = _voterFields(voter);
+
+  let result;
+  try {
+    result = await prisma.$transaction(async (tx) => {
+      const windowError = await _lockOpenPoll(tx, poll.id);
+      if (windowError) {
+        return windowError;
+      }
+
+      // Check if the voter has already voted for any option in this poll
+      const existingVoteInPoll = await tx.vote.findFirst({
+        where: {
+          ...voterFields,
+          pollOption: {
+            pollId: poll.id
+          }
+        },
+        select: { id: true }
+      });
+
+      if (existingVoteInPoll) {
+        return { status: 409, error: 'You have already voted in this poll' };
+      }
+
+      const created = await _createBallotVotes(tx, poll, voterFields, ballot);
+      await _recordActivity(tx, poll.id, 1);
+      return { votes: created };
+    });
+  } catch (error) {
+    // Handle unique constraint violation (duplicate vote)
+    if (error.code === 'P2002') {
+      return _fail(409, 'You have already voted for this option');
+    }
+    throw error;
+  }
+
+  if (result.error) {
+    return _fail(result.status, result.error);
+  }
+
+  const { votes } = result;
+  await _auditBallot('vote.cast', voter, poll.id, null, ballot);
+  votesTotal.inc({ action: 'cast' });
+
+  // Voting unlocks the results of after_vote polls for the voter's sockets
+  if (poll.resultsVisibility === 'after_vote') {
+    await syncResultsAccess(io, poll.id, voterRoom(voter));
+  }
+
+  // Update the cached tally and notify clients viewing this poll
+  publishBallotChange(io, {
+    pollId: poll.id,
+    voterKey: voterKeyOf(voterFields),
+    ballot,
+    replacesEarlierVotes: false
+  });
+
+  _notifyWebhooks(poll, ballot).catch(error => {
+    logger.error('Vote webhook error', { pollId: poll.id, error });
+  });
+
+  const formattedVotes = votes.map(_formatVote);
+
+  return {
+    status: 201,
+    body: {
+      message: 'Vote submitted successfully',
+      vote: formattedVotes[0],
+      votes: formattedVotes
+    }
+  };
+};
+
+// Replace an existing vote with a different ballot
+export const changeBallot = async (voter, pollId, payload, io) => {
+  const ballot = _parseBallot(payload);
+
+  const { poll, status, error } = await _validateBallot(ballot);
+
+  if (error) {
+    return _fail(status, error);
+  }
+
+  if (poll.id !== pollId) {
+    return _fail(400, 'Options do not belong to this poll');
+  }
+
+  if (_isForeignPoll(voter, pollId)) {
+    return _fail(403, GUEST_POLL_MISMATCH);
+  }
+
+  const accessFailure = await _checkAccess(voter, poll) || await _checkVerified(voter);
+  if (accessFailure) {
+    return accessFailure;
+  }
+
+  if (!poll.allowVoteChange) {
+    return _fail(403, 'This poll does not allow changing votes');
+  }
+
+  const voterFields = _voterFields(voter);
+
+  // Swap the ballot in one transaction so no tally ever sees both or neither
+  const change = await prisma.$transaction(async (tx) => {
+    const windowError = await _lockOpenPoll(tx, pollId);
+    if (windowError) {
+      return windowError;
+    }
+
+    const previousBallot = await _currentBallot(tx, voterFields, pollId);
+
+    if (previousBallot.length === 0) {
+      return { status: 404, error: 'You have not voted in this poll' };
+    }
+
+    await tx.vote.deleteMany({
+      where: {
+        ...voterFields,
+        pollOption: { pollId }
+      }
+    });
+
+    await _recordActivity(tx, pollId, 0);
+    const created = await _createBallotVotes(tx, poll, voterFields, ballot);
+    return { previousBallot, votes: created };
+  });
+
+  if (change.error) {
+    return _fail(change.status, change.error);
+  }
+
+  const { previousBallot, votes } = change;
+  await _auditBallot('vote.change', voter, pollId, previousBallot, ballot);
+  votesTotal.inc({ action: 'change' });
+
+  publishBallotChange(io, {
+    pollId,
+    voterKey: voterKeyOf(voterFields),
+    ballot,
+    replacesEarlierVotes: true
+  });
+
+  const formattedVotes = votes.map(_formatVote);
+
+  return {
+    status: 200,
+    body: {
+      message: 'Vote changed successfully',
+      vote: formattedVotes[0],
+      votes: formattedVotes
+    }
+  };
+};
+
+// Withdraw a vote
+export const retractBallot = async (voter, pollId, io) => {
+  if (_isForeignPoll(voter, pollId)) {
+    return _fail(403, GUEST_POLL_MISMATCH);
+  }
+
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    select: {
+      ...pollAccessSelect,
+      allowVoteChange: true,
+      resultsVisibility: true,
+      opensAt: true,
+      closesAt: true,
+      isClosed: true,
+      liveLockedAt: true
+    }
+  });
+
+  if (!poll) {
+    return _fail(404, 'Poll not found');
+  }
+
+  if (!poll.isPublished) {
+    return _fail(403, 'Cannot vote on unpublished poll');
+  }
+
+  const accessFailure = await _checkAccess(voter, poll);
+  if (accessFailure) {
+    return accessFailure;
+  }
+
+  const windowError = _checkVotingWindow(poll);
+  if (windowError) {
+    return _fail(windowError.status, windowError.error);
+  }
+
+  if (!poll.allowVoteChange) {
+    return _fail(403, 'This poll does not allow changing votes');
+  }
+
+  const voterFields = _voterFields(voter);
+
+  const retraction = await prisma.$transaction(async (tx) => {
+    const windowError = await _lockOpenPoll(tx, pollId);
+    if (windowError) {
+      return windowError;
+    }
+
+    const current = await _currentBallot(tx, voterFields, pollId);
+
+    const deleted = await tx.vote.deleteMany({
+      where: {
+        ...voterFields,
+        pollOption: { pollId }
+      }
+    });
+
+    if (deleted.count > 0) {
+      await _recordActivity(tx, pollId, -1);
+    }
+    return { previousBallot: current };
+  });
+
+  if (retraction.error) {
+    return _fail(retraction.status, retraction.error);
+  }
+
+  const { previousBallot } = retraction;
+  if (previousBallot.length === 0) {
+    return _fail(404, 'You have not voted in this poll');
+  }
+
+  await _auditBallot('vote.retract', voter, pollId, previousBallot, null);
+  votesTotal.inc({ action: 'retract' });
+
+  if (poll.resultsVisibility === 'after_vote') {
+    await syncResultsAccess(io, pollId, voterRoom(voter));
+  }
+
+  publishBallotChange(io, {
+    pollId,
+    voterKey: voterKeyOf(voterFields),
+    ballot: null,
+    replacesEarlierVotes: true
+  });
+
+  return {
+    status: 200,
+    body: { message: 'Vote withdrawn successfully' }
+  };
+};
+
+// Fetch a poll's current results
+export const fetchResults = async (voter, pollId) => {
+  if (_isForeignPoll(voter, pollId)) {
+    return _fail(403, GUEST_POLL_MISMATCH);
+  }
+
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    select: resultsAccessSelect
+  });
+
+  if (!poll) {
+    return _fail(404, 'Poll not found');
+  }
+
+  const accessFailure = await _checkAccess(voter, poll);
+  if (accessFailure) {
+    return accessFailure;
+  }
+
+  const results = await getCachedResults(pollId);
+
+  if (!results) {
+    return _fail(404, 'Poll not found');
+  }
+
+  if (!(await _maySeeResults(voter, poll))) {
+    return { status: 200, body: { results: redactResults(results) } };
+  }
+
+  return { status: 200, body: { results } };
+};
+
+// Fetch a poll's vote counts bucketed by interval (minute, hour or day)
+export const fetchHistory = async (voter, pollId, interval = 'hour') => {
+  if (!HISTORY_INTERVALS[interval]) {
+    return _fail(400, `Interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`);
+  }
+
+  if (_isForeignPoll(voter, pollId)) {
+    return _fail(403, GUEST_POLL_MISMATCH);
+  }
+
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    select: {
+      ...resultsAccessSelect,
+      createdAt: true,
+      closedAt: true,
+      options: {
+        select: { id: true, text: true },
+        orderBy: { position: 'asc' }
+      }
+    }
+  });
+
+  if (!poll) {
+    return _fail(404, 'Poll not found');
+  }
+
+  const accessFailure = await _checkAccess(voter, poll);
+  if (accessFailure) {
+    return accessFailure;
+  }
+
+  if (!(await _maySeeResults(voter, poll))) {
+    return _fail(403, 'Results of this poll are hidden');
+  }
+
+  const history = await loadVoteHistory(poll, interval);
+
+  if (!history) {
+    return _fail(400, 'Too many buckets for this poll; choose a larger interval');
+  }
+
+  return { status: 200, body: { history } };
+};
@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import prisma from '../config/database.js';
+import logger from '../config/logger.js';
+import { isPrivateAddress, isPrivateHostname } from '../utils/privateAddresses.js';
+
+// Outgoing webhooks. Triggering an event stores one delivery per subscribed
+// webhook and sends it right away; failed deliveries are retried with
+// exponential backoff by a sweep that also picks up deliveries left pending
+// by a restart. Every attempt is recorded on the delivery row.
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+
+// Webhook URLs may only reach public addresses, so that poll owners cannot
+// use deliveries (and their logged status codes) to probe internal services.
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts this, e.g. for a local test receiver.
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+const PRIVATE_ADDRESS_ERROR = 'Webhook URL resolves to a private or local address';
+
+// An attempt in flight holds its delivery this long, so other instances'
+// sweeps leave it alone
+const LEASE_MS = TIMEOUT_MS + 5000;
+
+let sweepTimer = null;
+let sweeping = false;
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers recompute this over the X-Webhook-Timestamp header and the raw
+// body to check a delivery came from us and was not replayed
+export const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Delay before the next attempt: the base doubles after every failure,
+// plus up to 10% jitter so retries of one outage do not arrive together
+const _retryDelay = (attempts) => {
+  const delay = RETRY_BASE_MS * 2 ** (attempts - 1);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+// dns.lookup that fails for private addresses. Used as the connection's
+// lookup, so the address checked is the address connected to.
+const _publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!ALLOW_PRIVATE_HOSTS && addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// Check a webhook URL when it is registered. Resolves to an error message,
+// or null if the URL may be used. Deliveries check the address again, since
+// what a hostname resolves to can change.
+export const checkWebhookUrl = async (url) => {
+  if (ALLOW_PRIVATE_HOSTS) {
+    return null;
+  }
+
+  const { hostname } = new URL(url);
+
+  if (isPrivateHostname(hostname)) {
+    return PRIVATE_ADDRESS_ERROR;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname.replace(/^\[(.*)\]$/, '$1'), { all: true });
+    return addresses.some(entry => isPrivateAddress(entry.address)) ? PRIVATE_ADDRESS_ERROR : null;
+  } catch (error) {
+    // Hosts that do not resolve yet fail at delivery instead
+    return null;
+  }
+};
+
+// POST a body and resolve to the response status. Redirects are not followed.
+const _post = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+
+  // IP literals are connected to without a lookup
+  if (!ALLOW_PRIVATE_HOSTS && isPrivateHostname(target.hostname)) {
+    return reject(new Error(PRIVATE_ADDRESS_ERROR));
+  }
+
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: _publicLookup,
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, (response) => {
+    // The response body is not used
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Claim a due delivery for one attempt. Returns false if it is not due or
+// another instance got to it first.
+const _claim = async (deliveryId) => {
+  const now = new Date();
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: { id: deliveryId, status: 'pending', nextAttemptAt: { lte: now } },
+    data: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) }
+  });
+  return count === 1;
+};
+
+// POST a payload to its webhook. Resolves to { statusCode, error }.
+const _send = async (delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const statusCode = await _post(delivery.webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Realtime-Polling-Webhooks/1.0',
+      'X-Webhook-Id': delivery.webhookId,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(delivery.webhook.secret, timestamp, body)}`
+    }, body);
+
+    const ok = statusCode >= 200 && statusCode < 300;
+    return {
+      statusCode,
+      error: ok ? null : `Receiver responded with HTTP ${statusCode}`
+    };
+  } catch (error) {
+    return {
+      statusCode: null,
+      error: error.name === 'AbortError' ? `No response within ${TIMEOUT_MS}ms` : error.message
+    };
+  }
+};
+
+// Make one attempt at a delivery and record the outcome
+const _attempt = async (deliveryId) => {
+  if (!(await _claim(deliveryId))) {
+    return;
+  }
+
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: {
+      webhook: {
+        select: { url: true, secret: true, isActive: true }
+      }
+    }
+  });
+
+  if (!delivery) {
+    return;
+  }
+
+  const now = new Date();
+
+  if (!delivery.webhook.isActive) {
+    await prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: { status: 'failed', nextAttemptAt: null, lastError: 'Webhook is disabled' }
+    });
+    return;
+  }
+
+  const { statusCode, error } = await _send(delivery);
+  const attempts = delivery.attempts + 1;
+  const gaveUp = error && attempts >= MAX_ATTEMPTS;
+
+  await prisma.webhookDelivery.update({
+    where: { id: deliveryId },
+    data: {
+      attempts,
+      lastAttemptAt: now,
+      lastStatusCode: statusCode,
+      lastError: error,
+      ...(!error && { status: 'succeeded', deliveredAt: new Date(), nextAttemptAt: null }),
+      ...(gaveUp && { status: 'failed', nextAttemptAt: null }),
+      ...(error && !gaveUp && { nextAttemptAt: new Date(Date.now() + _retryDelay(attempts)) })
+    }
+  });
+};
+
+const _attemptInBackground = (deliveryId) => {
+  _attempt(deliveryId).catch(error => {
+    logger.error('Webhook delivery error', { deliveryId, error });
+  });
+};
+
+// Queue and send an event to every active webhook of the poll's owner that
+// subscribed to it. `poll` needs id, userId and question. Never throws:
+// webhooks must not fail the action that triggered them.
+export const triggerWebhookEvent = async (event, poll, data = {}) => {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      where: {
+        userId: poll.userId,
+        isActive: true,
+        events: { has: event },
+        OR: [{ pollId: null }, { pollId: poll.id }]
+      },
+      select: { id: true }
+    });
+
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    // Every webhook receives the same payload; its id identifies the event
+    // across deliveries and redeliveries
+    const payload = JSON.parse(JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date(),
+      poll: { id: poll.id, question: poll.question },
+      data
+    }));
+
+    const deliveries = await prisma.$transaction(webhooks.map(webhook =>
+      prisma.webhookDelivery.create({
+        data: { webhookId: webhook.id, event, pollId: poll.id, payload },
+        select: { id: true }
+      })
+    ));
+
+    deliveries.forEach(delivery => _attemptInBackground(delivery.id));
+  } catch (error) {
+    logger.error('Webhook trigger error', { event, error });
+  }
+};
+
+// Send a test event to one webhook. Resolves to the delivery.
+export const sendPing = async (webhook) => {
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      webhookId: webhook.id,
+      event: 'ping',
+      pollId: webhook.pollId,
+      payload: {
+        id: crypto.randomUUID(),
+        event: 'ping',
+        createdAt: new Date().toISOString(),
+        data: { webhookId: webhook.id }
+      }
+    }
+  });
+
+  _attemptInBackground(delivery.id);
+  return delivery;
+};
+
+// Send an earlier delivery's payload again as a new delivery
+export const redeliver = async (delivery) => {
+  const copy = await prisma.webhookDelivery.create({
+    data: {
+      webhookId: delivery.webhookId,
+      event: delivery.event,
+      pollId: delivery.pollId,
+      payload: delivery.payload,
+      redeliveryOfId: delivery.id
+    }
+  });
+
+  _attemptInBackground(copy.id);
+  return copy;
+};
+
+// Attempt every delivery whose retry is due
+const _sweep = async () => {
+  try {
+    const due = await prisma.webhookDelivery.findMany({
+      where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+      select: { id: true },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: SWEEP_BATCH_SIZE
+    });
+
+    await Promise.all(due.map(delivery => _attempt(delivery.id).catch(error => {
+      logger.error('Webhook delivery error', { deliveryId: delivery.id, error });
+    })));
+  } catch (error) {
+    logger.error('Webhook sweep error', error);
+  }
+
+  if (sweeping) {
+    sweepTimer = setTimeout(_sweep, SWEEP_INTERVAL_MS);
+  }
+};
+
+// Start retrying pending deliveries. Called once at boot.
+export const initWebhookDelivery = () => {
+  sweeping = true;
+  sweepTimer = setTimeout(_sweep, 0);
+};
+
+// Stop the retry sweep (used on shutdown)
+export const stopWebhookDelivery = () => {
+  sweeping = false;
+  clearTimeout(sweepTimer);
+  sweepTimer = null;
+};
@@ -0,0 +1,15 @@
+// Format one CSV line. Values are quoted when needed, and text that a
+// spreadsheet would run as a formula (=, +, -, @) is prefixed with a quote.
+export const toCsvRow = (values) => values.map(value => {
+  if (value === null || typeof value === 'undefined') {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
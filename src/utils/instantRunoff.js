@@ -0,0 +1,62 @@
+// Instant-runoff tally for ranked polls.
+// `optionIds` lists every option in the poll; each ballot is an array of
+// option IDs in preference order. Each round counts every ballot towards its
+// highest-ranked option still in the race. An option with more than half of
+// the active ballots wins; otherwise the option(s) with the fewest votes are
+// eliminated and the next round begins. If every remaining option is tied,
+// the count stops without a winner.
+export const runInstantRunoff = (optionIds, ballots) => {
+  const remaining = new Set(optionIds);
+  const rounds = [];
+  let winner = null;
+
+  while (remaining.size > 0) {
+    const tallies = new Map([...remaining].map(id => [id, 0]));
+    let exhausted = 0;
+
+    for (const ballot of ballots) {
+      const choice = ballot.find(id => remaining.has(id));
+      if (choice) {
+        tallies.set(choice, tallies.get(choice) + 1);
+      } else {
+        exhausted++;
+      }
+    }
+
+    const round = {
+      round: rounds.length + 1,
+      tallies: [...tallies].map(([optionId, votes]) => ({ optionId, votes })),
+      exhausted,
+      eliminated: []
+    };
+    rounds.push(round);
+
+    const activeBallots = ballots.length - exhausted;
+    if (activeBallots === 0) {
+      break;
+    }
+
+    const counts = [...tallies.values()];
+    const highest = Math.max(...counts);
+    const lowest = Math.min(...counts);
+
+    if (highest * 2 > activeBallots) {
+      winner = [...tallies].find(([, votes]) => votes === highest)[0];
+      break;
+    }
+
+    const trailing = [...tallies]
+      .filter(([, votes]) => votes === lowest)
+      .map(([optionId]) => optionId);
+
+    // Everyone left is tied, so there is nobody to eliminate
+    if (trailing.length === remaining.size) {
+      break;
+    }
+
+    trailing.forEach(optionId => remaining.delete(optionId));
+    round.eliminated = trailing;
+  }
+
+  return { rounds, winner };
+};
@@ -0,0 +1,35 @@
+// Cursor pagination over a Prisma model delegate (e.g. prisma.poll).
+// The cursor is the ID of the previous page's last item, and `orderBy` must
+// end with `id` so rows that tie on the sort field keep a stable order.
+// Resolves to { items, pagination: { total, limit, nextCursor } }.
+export const paginate = async (delegate, { where, orderBy, cursor, limit, ...query }) => {
+  const [rows, total] = await Promise.all([
+    delegate.findMany({
+      ...query,
+      where,
+      orderBy,
+      take: limit + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    }),
+    delegate.count({ where })
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    pagination: {
+      total,
+      limit,
+      nextCursor: hasMore ? items[items.length - 1].id : null
+    }
+  };
+};
+
+// Turn free text into a Postgres tsquery that matches every word as a
+// prefix, e.g. "real time" -> "real:* & time:*"
+export const toSearchQuery = (text) => text
+  .match(/[\p{L}\p{N}]+/gu)
+  .map(word => `${word}:*`)
+  .join(' & ');
@@ -0,0 +1,23 @@
+// {{name}} placeholders in template texts, e.g. "Sprint {{sprint}} confidence".
+// Whitespace inside the braces is allowed: {{ sprint }}.
+const PLACEHOLDER = /\{\{\s*([A-Za-z]\w*)\s*\}\}/g;
+
+// Names of the placeholders used across the given texts, in order of first use
+export const listPlaceholders = (texts) => {
+  const names = new Set();
+
+  for (const text of texts) {
+    for (const [, name] of text.matchAll(PLACEHOLDER)) {
+      names.add(name);
+    }
+  }
+
+  return [...names];
+};
+
+// Replace every placeholder with its value. Callers check for missing
+// values first; any left over are kept as written.
+export const fillPlaceholders = (text, values) => text.replace(
+  PLACEHOLDER,
+  (match, name) => (Object.hasOwn(values, name) ? values[name] : match)
+);
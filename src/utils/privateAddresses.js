@@ -0,0 +1,72 @@
+import net from 'net';
+
+// Addresses that reach this machine, its private network or cloud metadata
+// services rather than the public internet
+const blockList = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, incl. 169.254.169.254 metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, incl. broadcast
+].forEach(([prefix, bits]) => blockList.addSubnet(prefix, bits, 'ipv4'));
+
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['fc00::', 7], // unique local, incl. fd00:ec2::254 metadata
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([prefix, bits]) => blockList.addSubnet(prefix, bits, 'ipv6'));
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:127.0.0.1,
+// or ::ffff:7f00:1 as URLs write it), if it is one
+const _mappedIPv4 = (address) => {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) {
+    return dotted[1];
+  }
+
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+
+  return null;
+};
+
+// Whether an IP address is loopback, private, link-local or otherwise not
+// public. Anything that is not an IP address counts as private.
+export const isPrivateAddress = (address) => {
+  const mapped = _mappedIPv4(address);
+  if (mapped) {
+    return isPrivateAddress(mapped);
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Whether a URL hostname names a private address without a DNS lookup:
+// localhost names and private IP literals ([::1] included)
+export const isPrivateHostname = (hostname) => {
+  const host = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+};
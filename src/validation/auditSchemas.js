@@ -0,0 +1,20 @@
+import { z } from 'zod';
+import { id, timestamp, paginationQuery } from './common.js';
+import { AUDIT_ACTIONS } from '../services/auditLog.js';
+
+const action = z.enum(AUDIT_ACTIONS);
+
+// GET /api/polls/:pollId/activity
+export const activityQuery = paginationQuery.extend({
+  action: action.optional()
+});
+
+// GET /api/admin/audit-log
+export const auditLogQuery = paginationQuery.extend({
+  action: action.optional(),
+  actorId: id.optional(),
+  pollId: id.optional(),
+  targetType: z.enum(['poll', 'option', 'comment', 'vote', 'user']).optional(),
+  createdAfter: timestamp.optional(),
+  createdBefore: timestamp.optional()
+});
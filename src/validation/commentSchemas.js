@@ -0,0 +1,30 @@
+import { z } from 'zod';
+import { id, text, paginationQuery } from './common.js';
+
+export const commentParams = z.object({
+  pollId: id,
+  commentId: id
+});
+
+export const createCommentBody = z.object({
+  body: text(2000),
+  parentId: id.optional()
+});
+
+export const updateCommentBody = z.object({
+  body: text(2000)
+});
+
+// GET /api/polls/:pollId/comments (replies are always oldest first)
+export const commentListQuery = paginationQuery.extend({
+  sort: z.enum(['newest', 'oldest']).default('newest')
+});
+
+export const repliesQuery = paginationQuery;
+
+// Socket `typing` event; parentId is the comment being replied to
+export const typingPayload = z.object({
+  pollId: id,
+  parentId: id.nullable().default(null),
+  isTyping: z.boolean().default(true)
+});
@@ -0,0 +1,66 @@
+import { z } from 'zod';
+
+// Building blocks shared by the request schemas, plus the error envelope
+// every validation failure is reported with (REST and WebSocket alike):
+// { error: 'Validation failed', code: 'VALIDATION_ERROR', details: [...] }
+
+// Record IDs are CUIDs generated by Prisma
+export const id = z.string().cuid({ message: 'Must be a valid ID' });
+
+// Addresses are stored and compared in lower case
+export const email = z.string().trim().toLowerCase().max(254).email('Must be a valid email address');
+
+export const text = (max) => z.string().trim().min(1, 'Must not be blank').max(max);
+
+// Timestamps accept ISO strings or epoch milliseconds and become Dates
+export const timestamp = z.union([z.string(), z.number()]).transform((value, ctx) => {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    ctx.addIssue({ code: z.ZodIssueCode.invalid_date, message: 'Must be a valid date' });
+    return z.NEVER;
+  }
+
+  return date;
+});
+
+// Query strings carry booleans as "true" / "false"
+export const queryBoolean = z.enum(['true', 'false']).transform(value => value === 'true');
+
+// Free-text search terms
+export const searchText = z.string().trim().min(1).max(200)
+  .regex(/[\p{L}\p{N}]/u, 'Must contain a letter or digit');
+
+// Cursor pagination shared by every listing; extend with the listing's filters
+export const paginationQuery = z.object({
+  cursor: id.optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20)
+});
+
+// Issues added by refinements carry their own machine-readable code in params
+const _issueCode = (issue) => (issue.params && issue.params.code) || issue.code;
+
+export const issueDetails = (error, location) => error.issues.map(issue => ({
+  ...(location && { location }),
+  field: issue.path.join('.'),
+  message: issue.message,
+  code: _issueCode(issue)
+}));
+
+export const validationErrorBody = (details) => ({
+  error: 'Validation failed',
+  code: 'VALIDATION_ERROR',
+  details
+});
+
+// Parse a socket event payload. Resolves to { data } or { status, body }
+// with the same 400 response the REST API would send.
+export const parsePayload = (schema, payload) => {
+  const result = schema.safeParse(payload);
+
+  if (result.success) {
+    return { data: result.data };
+  }
+
+  return { status: 400, body: validationErrorBody(issueDetails(result.error)) };
+};
@@ -0,0 +1,40 @@
+import { z } from 'zod';
+import { id, email, text, searchText, paginationQuery } from './common.js';
+
+export const MAX_GROUP_MEMBERS = 500;
+
+export const groupParams = z.object({
+  groupId: id
+});
+
+export const groupMemberParams = groupParams.extend({
+  userId: id
+});
+
+export const groupInvitationParams = groupParams.extend({
+  invitationId: id
+});
+
+// GET /api/groups
+export const groupListQuery = paginationQuery.extend({
+  scope: z.enum(['all', 'owned', 'member']).default('all'),
+  q: searchText.optional()
+});
+
+// POST /api/groups. `emails` invites members right away.
+export const createGroupBody = z.object({
+  name: text(100),
+  description: text(500).nullable().optional(),
+  emails: z.array(email).max(200).default([])
+});
+
+// PUT /api/groups/:groupId
+export const updateGroupBody = z.object({
+  name: text(100).optional(),
+  description: text(500).nullable().optional()
+});
+
+// POST /api/groups/:groupId/members invites `emails`
+export const addMembersBody = z.object({
+  emails: z.array(email).min(1).max(200)
+});
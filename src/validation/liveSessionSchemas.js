@@ -0,0 +1,61 @@
+import { z } from 'zod';
+import { id, text, searchText, paginationQuery } from './common.js';
+
+export const MAX_LIVE_SESSION_POLLS = 100;
+
+// Join codes avoid characters that are easily mistaken for one another
+// (0/O, 1/I/L) and are matched regardless of case, spaces and dashes
+export const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 6;
+
+export const joinCode = z.string()
+  .max(50)
+  .transform(value => value.toUpperCase().replace(/[\s-]/g, ''))
+  .pipe(z.string().regex(
+    new RegExp(`^[${JOIN_CODE_ALPHABET}]{${JOIN_CODE_LENGTH}}$`),
+    `Must be a ${JOIN_CODE_LENGTH}-character join code`
+  ));
+
+export const LIVE_SESSION_ACTIONS = ['next', 'previous', 'goto', 'lock', 'unlock', 'reveal', 'end'];
+
+export const liveSessionParams = z.object({
+  liveSessionId: id
+});
+
+export const joinCodeParams = z.object({
+  joinCode
+});
+
+// GET /api/live-sessions
+export const liveSessionListQuery = paginationQuery.extend({
+  status: z.enum(['pending', 'live', 'ended']).optional(),
+  q: searchText.optional()
+});
+
+// POST /api/live-sessions. `pollIds` lists the polls in presentation order.
+export const createLiveSessionBody = z.object({
+  title: text(200),
+  pollIds: z.array(id).min(1).max(MAX_LIVE_SESSION_POLLS)
+});
+
+// PUT /api/live-sessions/:liveSessionId. `pollIds` replaces the polls.
+export const updateLiveSessionBody = z.object({
+  title: text(200).optional(),
+  pollIds: z.array(id).min(1).max(MAX_LIVE_SESSION_POLLS).optional()
+});
+
+// controlLiveSession socket event. `goto` needs the poll to open.
+export const liveSessionControl = z.object({
+  liveSessionId: id,
+  action: z.enum(LIVE_SESSION_ACTIONS),
+  pollId: id.optional()
+}).superRefine((control, ctx) => {
+  if (control.action === 'goto' && !control.pollId) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['pollId'],
+      message: 'Required for goto',
+      params: { code: 'missing_poll' }
+    });
+  }
+});
@@ -0,0 +1,219 @@
+import { z } from 'zod';
+import {
+  id,
+  email,
+  text,
+  timestamp,
+  queryBoolean,
+  searchText,
+  paginationQuery
+} from './common.js';
+import { POLL_SORT_ORDERS } from '../services/pollListing.js';
+
+export const POLL_TYPES = ['single', 'multiple', 'ranked', 'quiz'];
+export const MAX_OPTIONS = 20;
+export const RESULTS_VISIBILITIES = ['always', 'after_vote', 'after_close', 'owner_only'];
+export const POLL_VISIBILITIES = ['public', 'unlisted', 'restricted'];
+
+// Quiz polls are answered like single-choice polls: with exactly one option
+export const isSingleChoice = (type) => type === 'single' || type === 'quiz';
+
+// Seconds a correct quiz answer earns a speed bonus for
+const answerTimeLimit = z.number().int().min(5).max(3600);
+
+const question = text(500);
+const optionText = text(200);
+
+// Option texts must be unique, ignoring case and surrounding whitespace
+const _rejectDuplicateOptions = (options, ctx) => {
+  const seen = new Set();
+
+  options.forEach((option, index) => {
+    const key = option.toLowerCase();
+    if (seen.has(key)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [index],
+        message: 'Duplicate option',
+        params: { code: 'duplicate_option' }
+      });
+    }
+    seen.add(key);
+  });
+};
+
+// closesAt must come after opensAt when both are given
+const _checkVotingWindow = (poll, ctx) => {
+  if (poll.opensAt && poll.closesAt && poll.closesAt <= poll.opensAt) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['closesAt'],
+      message: 'Must be after opensAt',
+      params: { code: 'invalid_window' }
+    });
+  }
+};
+
+export const pollParams = z.object({
+  pollId: id
+});
+
+export const optionParams = pollParams.extend({
+  optionId: id
+});
+
+export const shareParams = z.object({
+  shareToken: z.string().min(1).max(64)
+});
+
+// Selection bounds only apply to multiple-choice and ranked polls
+export const checkSelectionBounds = (poll, ctx) => {
+  if (isSingleChoice(poll.type)) {
+    return;
+  }
+
+  const min = poll.minSelections ?? 1;
+  const max = poll.maxSelections ?? poll.options.length;
+
+  if (min > max || max > poll.options.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['maxSelections'],
+      message: 'Must satisfy 1 <= minSelections <= maxSelections <= number of options',
+      params: { code: 'invalid_selection_bounds' }
+    });
+  }
+};
+
+// What a poll asks and how it is voted on; shared with poll templates
+export const pollContent = z.object({
+  question,
+  options: z.array(optionText).min(2).max(MAX_OPTIONS).superRefine(_rejectDuplicateOptions),
+  type: z.enum(POLL_TYPES).default('single'),
+  minSelections: z.number().int().min(1).optional(),
+  maxSelections: z.number().int().min(1).optional(),
+  allowVoteChange: z.boolean().default(false),
+  resultsVisibility: z.enum(RESULTS_VISIBILITIES).default('always')
+});
+
+// Quiz settings are only accepted on quiz polls, which need a correct option
+const _checkQuizFields = (poll, ctx) => {
+  if (poll.type !== 'quiz') {
+    ['correctOptionIndex', 'answerTimeLimit', 'quizSessionId']
+      .filter(field => typeof poll[field] !== 'undefined')
+      .forEach(field => ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: [field],
+        message: 'Only allowed on quiz polls',
+        params: { code: 'quiz_only' }
+      }));
+    return;
+  }
+
+  if (typeof poll.correctOptionIndex === 'undefined') {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['correctOptionIndex'],
+      message: 'Required for quiz polls',
+      params: { code: 'missing_correct_option' }
+    });
+  } else if (poll.correctOptionIndex >= poll.options.length) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['correctOptionIndex'],
+      message: 'Must be the index of one of the options',
+      params: { code: 'invalid_correct_option' }
+    });
+  }
+};
+
+export const createPollBody = pollContent.extend({
+  isPublished: z.boolean().default(false),
+  visibility: z.enum(POLL_VISIBILITIES).default('public'),
+  opensAt: timestamp.nullable().optional(),
+  closesAt: timestamp.nullable().optional(),
+  // Quiz polls: position of the correct option in `options`
+  correctOptionIndex: z.number().int().min(0).optional(),
+  answerTimeLimit: answerTimeLimit.optional(),
+  quizSessionId: id.optional()
+}).superRefine((poll, ctx) => {
+  _checkVotingWindow(poll, ctx);
+
+  if (poll.closesAt && poll.closesAt <= new Date()) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['closesAt'],
+      message: 'Must be in the future',
+      params: { code: 'invalid_window' }
+    });
+  }
+
+  checkSelectionBounds(poll, ctx);
+  _checkQuizFields(poll, ctx);
+});
+
+// POST /api/polls/:pollId/clone
+export const clonePollBody = z.object({
+  question: question.optional()
+});
+
+export const updatePollBody = z.object({
+  question: question.optional(),
+  isPublished: z.boolean().optional(),
+  visibility: z.enum(POLL_VISIBILITIES).optional(),
+  allowVoteChange: z.boolean().optional(),
+  isClosed: z.boolean().optional(),
+  resultsVisibility: z.enum(RESULTS_VISIBILITIES).optional(),
+  opensAt: timestamp.nullable().optional(),
+  closesAt: timestamp.nullable().optional(),
+  answerTimeLimit: answerTimeLimit.nullable().optional()
+}).superRefine(_checkVotingWindow);
+
+// PUT /api/polls/:pollId/answer
+export const correctOptionBody = z.object({
+  optionId: id
+});
+
+export const addOptionBody = z.object({
+  text: optionText
+});
+
+export const renameOptionBody = z.object({
+  text: optionText,
+  discardVotes: z.boolean().default(false)
+});
+
+export const removeOptionQuery = z.object({
+  discardVotes: queryBoolean.default('false')
+});
+
+export const reorderOptionsBody = z.object({
+  optionIds: z.array(id).min(2).max(MAX_OPTIONS)
+});
+
+// GET /api/polls/user/my-polls
+export const myPollsQuery = paginationQuery.extend({
+  q: searchText.optional(),
+  status: z.enum(['open', 'closed', 'upcoming']).optional(),
+  hasVoted: queryBoolean.optional(),
+  createdAfter: timestamp.optional(),
+  createdBefore: timestamp.optional(),
+  sort: z.enum(Object.keys(POLL_SORT_ORDERS)).default('newest')
+});
+
+// GET /api/polls
+export const pollListQuery = myPollsQuery.extend({
+  creatorId: id.optional()
+});
+
+// PUT /api/polls/:pollId/access replaces the whole list
+export const pollAccessBody = z.object({
+  emails: z.array(email).max(200).default([]),
+  groupIds: z.array(id).max(50).default([])
+});
+
+export const exportQuery = z.object({
+  format: z.enum(['csv', 'jsonl']).default('csv'),
+  sheet: z.enum(['votes', 'summary']).default('votes'),
+  voter: z.enum(['hash', 'id']).default('hash')
+});
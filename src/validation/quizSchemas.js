@@ -0,0 +1,32 @@
+import { z } from 'zod';
+import { id, text, searchText, paginationQuery } from './common.js';
+
+export const MAX_QUIZ_QUESTIONS = 100;
+
+export const quizSessionParams = z.object({
+  quizSessionId: id
+});
+
+// GET /api/quiz-sessions
+export const quizSessionListQuery = paginationQuery.extend({
+  q: searchText.optional()
+});
+
+// POST /api/quiz-sessions. `pollIds` lists the session's quiz polls in order.
+export const createQuizSessionBody = z.object({
+  title: text(200),
+  description: text(1000).nullable().optional(),
+  pollIds: z.array(id).max(MAX_QUIZ_QUESTIONS).default([])
+});
+
+// PUT /api/quiz-sessions/:quizSessionId. `pollIds` replaces the questions.
+export const updateQuizSessionBody = z.object({
+  title: text(200).optional(),
+  description: text(1000).nullable().optional(),
+  pollIds: z.array(id).max(MAX_QUIZ_QUESTIONS).optional()
+});
+
+// GET /api/quiz-sessions/:quizSessionId/leaderboard
+export const leaderboardQuery = z.object({
+  limit: z.coerce.number().int().min(1).max(500).default(50)
+});
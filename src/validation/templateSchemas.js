@@ -0,0 +1,44 @@
+import { z } from 'zod';
+import { id, text, timestamp, searchText, paginationQuery } from './common.js';
+import { pollContent, checkSelectionBounds } from './pollSchemas.js';
+
+const templateDetails = {
+  name: text(100),
+  description: text(500).nullable().optional(),
+  isShared: z.boolean().default(false)
+};
+
+export const templateParams = z.object({
+  templateId: id
+});
+
+// POST /api/templates. The question and options may contain {{placeholders}}.
+export const createTemplateBody = pollContent.extend(templateDetails)
+  .superRefine(checkSelectionBounds);
+
+// PUT /api/templates/:templateId. The merged template is checked again
+// against createTemplateBody.
+export const updateTemplateBody = pollContent.extend(templateDetails).partial();
+
+// POST /api/polls/:pollId/template
+export const templateFromPollBody = z.object(templateDetails);
+
+// GET /api/templates
+export const templateListQuery = paginationQuery.extend({
+  scope: z.enum(['all', 'mine', 'shared']).default('all'),
+  q: searchText.optional()
+});
+
+// POST /api/templates/:templateId/polls. `values` fills in the placeholders.
+export const useTemplateBody = z.object({
+  values: z.record(
+    z.string().regex(/^[A-Za-z]\w*$/, 'Must be a placeholder name'),
+    z.union([z.string().trim().max(200), z.number()]).transform(String)
+  ).default({}),
+  isPublished: z.boolean().default(false),
+  opensAt: timestamp.nullable().optional(),
+  closesAt: timestamp.nullable().optional(),
+  // Quiz templates leave the correct option to each poll
+  correctOptionIndex: z.number().int().min(0).optional(),
+  answerTimeLimit: z.number().int().optional()
+});
@@ -0,0 +1,61 @@
+import { z } from 'zod';
+import { id, email, text, queryBoolean, searchText, paginationQuery } from './common.js';
+import { ROLES } from '../policies/userPolicy.js';
+
+// bcrypt only looks at the first 72 bytes
+const newPassword = z.string().min(8, 'Must be at least 8 characters').max(72);
+
+// Tokens from verification and password reset emails
+const emailToken = z.string().min(1, 'Must not be blank').max(200);
+
+export const registerBody = z.object({
+  name: text(100),
+  email,
+  password: newPassword
+});
+
+export const loginBody = z.object({
+  email,
+  password: z.string().min(1, 'Must not be blank').max(72)
+});
+
+export const refreshBody = z.object({
+  refreshToken: z.string().min(1, 'Must not be blank').max(200)
+});
+
+// POST /api/users/verify-email
+export const verifyEmailBody = z.object({
+  token: emailToken
+});
+
+// POST /api/users/password/forgot
+export const forgotPasswordBody = z.object({
+  email
+});
+
+// POST /api/users/password/reset
+export const resetPasswordBody = z.object({
+  token: emailToken,
+  password: newPassword
+});
+
+// PUT /api/users/password
+export const changePasswordBody = z.object({
+  currentPassword: z.string().min(1, 'Must not be blank').max(72),
+  newPassword
+});
+
+// GET /api/users (admins only)
+export const userListQuery = paginationQuery.extend({
+  q: searchText.optional(),
+  role: z.enum(ROLES).optional(),
+  suspended: queryBoolean.optional()
+});
+
+export const userParams = z.object({
+  userId: id
+});
+
+export const roleBody = z.object({
+  role: z.enum(ROLES)
+});
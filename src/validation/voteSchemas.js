@@ -0,0 +1,32 @@
+import { z } from 'zod';
+import { id, timestamp, searchText, paginationQuery } from './common.js';
+import { MAX_OPTIONS } from './pollSchemas.js';
+import { HISTORY_INTERVALS } from '../services/voteHistory.js';
+
+// Ranked and multiple-choice ballots send an ordered list of option IDs;
+// single-choice clients may keep sending a lone pollOptionId
+export const ballotBody = z.object({
+  pollOptionId: id.optional(),
+  pollOptionIds: z.array(id).min(1).max(MAX_OPTIONS).optional()
+}).refine(ballot => ballot.pollOptionId || ballot.pollOptionIds, {
+  message: 'pollOptionId or pollOptionIds is required',
+  path: ['pollOptionIds'],
+  params: { code: 'required' }
+});
+
+export const historyQuery = z.object({
+  interval: z.enum(Object.keys(HISTORY_INTERVALS)).default('hour')
+});
+
+// GET /api/votes/user/my-votes
+export const myVotesQuery = paginationQuery.extend({
+  pollId: id.optional(),
+  q: searchText.optional(),
+  createdAfter: timestamp.optional(),
+  createdBefore: timestamp.optional()
+});
+
+// Socket payload for subscribeHistory / unsubscribeHistory
+export const historySubscription = historyQuery.extend({
+  pollId: id
+});
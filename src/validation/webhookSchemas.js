@@ -0,0 +1,41 @@
+import { z } from 'zod';
+import { id, text, paginationQuery } from './common.js';
+
+// Events a webhook can subscribe to (`ping` is sent on request only)
+export const WEBHOOK_EVENTS = ['vote_cast', 'poll_published', 'poll_closed', 'poll_deleted'];
+export const MAX_WEBHOOKS = 10;
+
+const url = z.string().trim().max(2000).url('Must be a valid URL')
+  .refine(value => /^https?:\/\//i.test(value), 'Must be an http or https URL');
+
+const events = z.array(z.enum(WEBHOOK_EVENTS)).min(1, 'Subscribe to at least one event')
+  .transform(list => [...new Set(list)]);
+
+export const webhookParams = z.object({
+  webhookId: id
+});
+
+export const deliveryParams = webhookParams.extend({
+  deliveryId: id
+});
+
+export const createWebhookBody = z.object({
+  url,
+  events,
+  pollId: id.optional(),
+  description: text(200).optional()
+});
+
+export const updateWebhookBody = z.object({
+  url: url.optional(),
+  events: events.optional(),
+  description: text(200).nullable().optional(),
+  isActive: z.boolean().optional(),
+  rotateSecret: z.boolean().optional()
+});
+
+// GET /api/webhooks/:webhookId/deliveries
+export const deliveryListQuery = paginationQuery.extend({
+  status: z.enum(['pending', 'succeeded', 'failed']).optional(),
+  event: z.enum([...WEBHOOK_EVENTS, 'ping']).optional()
+});
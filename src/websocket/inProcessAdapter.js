@@ -0,0 +1,60 @@
+import { EventEmitter } from 'events';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+// A cluster adapter whose "network" is an EventEmitter. Several Socket.IO
+// servers created in the same process with the same bus share rooms,
+// broadcasts, fetchSockets and serverSideEmit exactly as separate processes
+// would over Redis, which makes multi-instance behaviour testable locally.
+class InProcessAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, opts) {
+    super(nsp, opts);
+    this.bus = bus;
+
+    this.handleMessage = (message) => {
+      if (message.nsp === this.nsp.name) {
+        this.onMessage(message);
+      }
+    };
+    this.handleResponse = (requesterUid, response) => {
+      if (requesterUid === this.uid) {
+        this.onResponse(response);
+      }
+    };
+
+    bus.on('message', this.handleMessage);
+    bus.on('response', this.handleResponse);
+
+    // Announce this node so the others count it in fetchSockets and serverSideEmit
+    this.init();
+  }
+
+  // Messages are cloned and delivered asynchronously, like a real transport
+  doPublish(message) {
+    const copy = structuredClone(message);
+    setImmediate(() => this.bus.emit('message', copy));
+    return Promise.resolve('');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    const copy = structuredClone(response);
+    setImmediate(() => this.bus.emit('response', requesterUid, copy));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.bus.off('message', this.handleMessage);
+    this.bus.off('response', this.handleResponse);
+  }
+}
+
+// Build an adapter constructor for io.adapter(). Servers sharing a bus form one cluster.
+export const createInProcessAdapter = (bus = new EventEmitter(), opts = {}) => {
+  bus.setMaxListeners(0);
+
+  return class extends InProcessAdapter {
+    constructor(nsp) {
+      super(nsp, bus, opts);
+    }
+  };
+};
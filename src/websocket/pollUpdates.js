@@ -0,0 +1,170 @@
+import prisma from '../config/database.js';
+import {
+  applyBallotChange,
+  getCachedResults,
+  invalidateTally
+} from '../services/tallyCache.js';
+import { HISTORY_INTERVALS, loadCurrentBucket } from '../services/voteHistory.js';
+import { emitResults } from './resultsAccess.js';
+import logger from '../config/logger.js';
+
+// Maximum number of pollUpdate broadcasts per room per second. Votes arriving
+// in between are coalesced into the next broadcast.
+const MAX_UPDATES_PER_SECOND = Number(process.env.POLL_UPDATE_MAX_RATE) || 4;
+const MIN_INTERVAL_MS = 1000 / MAX_UPDATES_PER_SECOND;
+
+// Namespace -> (pollId -> { lastSentAt, timer, historyChanged }). Kept per
+// namespace so that several servers in one process (see
+// inProcessAdapter.js) each broadcast to their own sockets.
+const servers = new Map();
+let clustered = false;
+
+// Callers pass the server or its main namespace (socket.nsp)
+const _roomsOf = (io) => {
+  const namespace = io.of ? io.of('/') : io;
+  if (!servers.has(namespace)) {
+    servers.set(namespace, new Map());
+  }
+  return servers.get(namespace);
+};
+
+// Listen for ballot changes made on other server instances. Each instance
+// keeps its own tally cache and broadcasts to its own sockets only, so a
+// room receives at most MAX_UPDATES_PER_SECOND updates per instance.
+export const initPollUpdates = (io, options = {}) => {
+  clustered = Boolean(options.clustered);
+
+  io.of('/').on('ballotChanged', (change) => {
+    applyBallotChange(change);
+    schedulePollUpdate(io, change.pollId, change);
+  });
+
+  io.of('/').on('tallyInvalidated', ({ pollId, refresh }) => {
+    invalidateTally(pollId);
+
+    if (refresh) {
+      schedulePollUpdate(io, pollId, { replacesEarlierVotes: true });
+    }
+  });
+};
+
+// Record a committed ballot change and schedule a pollUpdate broadcast
+export const publishBallotChange = (io, change) => {
+  applyBallotChange(change);
+
+  if (clustered) {
+    io.serverSideEmit('ballotChanged', change);
+  }
+
+  schedulePollUpdate(io, change.pollId, change);
+};
+
+// Drop a poll's cached tally on every instance. With `refresh`, each
+// instance also broadcasts the recounted results, e.g. after its options
+// changed or ballots were discarded.
+export const publishTallyInvalidation = (io, pollId, { refresh = false } = {}) => {
+  invalidateTally(pollId);
+
+  if (clustered) {
+    io.serverSideEmit('tallyInvalidated', { pollId, refresh });
+  }
+
+  if (refresh) {
+    schedulePollUpdate(io, pollId, { replacesEarlierVotes: true });
+  }
+};
+
+// Send a poll's current structure (question, type, ordered options) to its
+// room after an edit, and recount its results. Resolves to the structure.
+export const publishPollStructure = async (io, pollId, change) => {
+  const poll = await prisma.poll.findUnique({
+    where: { id: pollId },
+    select: {
+      id: true,
+      question: true,
+      type: true,
+      minSelections: true,
+      maxSelections: true,
+      options: {
+        select: { id: true, text: true, position: true },
+        orderBy: { position: 'asc' }
+      }
+    }
+  });
+
+  io.to(`poll-${pollId}`).emit('pollStructureUpdate', { pollId, poll, change });
+  publishTallyInvalidation(io, pollId, { refresh: true });
+
+  return poll;
+};
+
+// Broadcast the poll's results now if the room has been quiet long enough,
+// otherwise once the interval has passed. Results are read when the
+// broadcast goes out, so every change made while waiting is included.
+export const schedulePollUpdate = (io, pollId, change = {}) => {
+  const rooms = _roomsOf(io);
+  let state = rooms.get(pollId);
+  if (!state) {
+    state = { lastSentAt: 0, timer: null, historyChanged: false };
+    rooms.set(pollId, state);
+  }
+
+  // Changed or withdrawn votes also alter earlier history buckets
+  state.historyChanged = state.historyChanged || Boolean(change.replacesEarlierVotes);
+
+  if (state.timer) {
+    return;
+  }
+
+  const wait = Math.max(0, state.lastSentAt + MIN_INTERVAL_MS - Date.now());
+  state.timer = setTimeout(() => _sendPollUpdate(io, pollId, state, rooms), wait);
+};
+
+const _sendPollUpdate = async (io, pollId, state, rooms) => {
+  // Changes made while the results load schedule the next broadcast
+  const { historyChanged } = state;
+  state.timer = null;
+  state.historyChanged = false;
+  state.lastSentAt = Date.now();
+
+  try {
+    const results = await getCachedResults(pollId);
+
+    // Ranked results carry the instant-runoff rounds so clients can animate eliminations.
+    // Viewers the results policy hides counts from get counts-free results.
+    if (results) {
+      emitResults(io.local, pollId, 'pollUpdate', { pollId, results });
+    }
+
+    await _sendHistoryUpdates(io, pollId, historyChanged);
+  } catch (error) {
+    logger.error('Poll update broadcast error', { pollId, error });
+  }
+
+  // Forget rooms that stay quiet for a full interval
+  setTimeout(() => {
+    if (!state.timer && rooms.get(pollId) === state) {
+      rooms.delete(pollId);
+    }
+  }, MIN_INTERVAL_MS).unref();
+};
+
+// Push the current bucket to each history interval someone here subscribed to.
+// `historyChanged` tells clients that earlier buckets changed too and should be refetched.
+const _sendHistoryUpdates = async (io, pollId, historyChanged) => {
+  for (const interval of Object.keys(HISTORY_INTERVALS)) {
+    const room = `poll-${pollId}-history-${interval}`;
+    const subscribers = await io.local.in(room).fetchSockets();
+
+    if (subscribers.length > 0) {
+      const bucket = await loadCurrentBucket(pollId, interval);
+      io.local.to(room).emit('historyUpdate', { pollId, interval, bucket, historyChanged });
+    }
+  }
+};
+
+// Cancel pending broadcasts (used on shutdown)
+export const stopPollUpdates = () => {
+  servers.forEach(rooms => rooms.forEach(state => clearTimeout(state.timer)));
+  servers.clear();
+};
@@ -0,0 +1,92 @@
+import prisma from '../config/database.js';
+import { canSeeResults } from '../policies/pollPolicy.js';
+import { redactResults, voterKeyOf } from '../services/pollResults.js';
+import { HISTORY_INTERVALS } from '../services/voteHistory.js';
+import logger from '../config/logger.js';
+
+// Sockets watching a poll that may see its result counts are also in the
+// poll-<id>-results room. Broadcasts send full results there and
+// counts-free results to the rest of poll-<id>, unless the poll's results
+// are visible to everyone anyway.
+
+export const resultsRoom = (pollId) => `poll-${pollId}-results`;
+
+// Room holding every socket of a voter (`{ user }` or `{ guest }`)
+export const voterRoom = (voter) => (
+  voter.guest ? `guest-${voter.guest.id}` : `user-${voter.user.id}`
+);
+
+// Keys of the viewers who have a ballot in the poll
+const _findVoted = async (pollId, viewers) => {
+  const votes = await prisma.vote.findMany({
+    where: {
+      pollOption: { pollId },
+      OR: [
+        { userId: { in: viewers.filter(viewer => !viewer.isGuest).map(viewer => viewer.id) } },
+        { guestSessionId: { in: viewers.filter(viewer => viewer.isGuest).map(viewer => viewer.guestId) } }
+      ]
+    },
+    select: { userId: true, guestSessionId: true }
+  });
+
+  return new Set(votes.map(voterKeyOf));
+};
+
+// Re-check which sockets may see a poll's results and move them in or out
+// of its results room. Only sockets of `room` that are watching the poll are
+// checked, by default all of them. Sockets that lose access also stop
+// receiving vote history.
+export const syncResultsAccess = async (io, pollId, room = `poll-${pollId}`) => {
+  try {
+    const poll = await prisma.poll.findUnique({
+      where: { id: pollId },
+      select: { userId: true, resultsVisibility: true, isClosed: true, closesAt: true }
+    });
+
+    if (!poll || poll.resultsVisibility === 'always') {
+      return;
+    }
+
+    const sockets = (await io.in(room).fetchSockets())
+      .filter(socket => socket.rooms.has(`poll-${pollId}`) && socket.data.viewer);
+
+    if (sockets.length === 0) {
+      return;
+    }
+
+    const voted = poll.resultsVisibility === 'after_vote'
+      ? await _findVoted(pollId, sockets.map(socket => socket.data.viewer))
+      : new Set();
+
+    for (const socket of sockets) {
+      const { viewer } = socket.data;
+      const user = viewer.isGuest ? null : viewer;
+
+      if (canSeeResults(user, poll, { hasVoted: voted.has(viewer.key) })) {
+        socket.join(resultsRoom(pollId));
+      } else {
+        socket.leave(resultsRoom(pollId));
+        Object.keys(HISTORY_INTERVALS).forEach(interval => {
+          socket.leave(`poll-${pollId}-history-${interval}`);
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Results access update error', { pollId, error });
+  }
+};
+
+// Emit an event carrying `payload.results` to a poll's room, with counts
+// only for the sockets allowed to see them. `io` may be io.local.
+export const emitResults = (io, pollId, event, payload) => {
+  if (payload.results.resultsVisibility === 'always') {
+    io.to(`poll-${pollId}`).emit(event, payload);
+    return;
+  }
+
+  io.to(resultsRoom(pollId)).emit(event, payload);
+  io.to(`poll-${pollId}`).except(resultsRoom(pollId)).emit(event, {
+    ...payload,
+    results: redactResults(payload.results)
+  });
+};
@@ -0,0 +1,64 @@
+import prisma from '../config/database.js';
+import { canAccess } from '../policies/pollPolicy.js';
+import { accessListUserIds } from '../services/pollAccess.js';
+import logger from '../config/logger.js';
+
+// Re-check the sockets watching a poll after its visibility or access list
+// changed (or it was unpublished), and remove the ones that lost access
+// from all of its rooms. They receive pollAccessRevoked.
+export const syncRoomAccess = async (io, pollId) => {
+  try {
+    const poll = await prisma.poll.findUnique({
+      where: { id: pollId },
+      select: { id: true, userId: true, isPublished: true, visibility: true }
+    });
+
+    if (!poll) {
+      return;
+    }
+
+    const sockets = (await io.in(`poll-${pollId}`).fetchSockets())
+      .filter(socket => socket.data.viewer);
+
+    if (sockets.length === 0) {
+      return;
+    }
+
+    const members = poll.visibility === 'restricted'
+      ? await accessListUserIds(pollId)
+      : new Set();
+
+    for (const socket of sockets) {
+      const { viewer } = socket.data;
+      const user = viewer.isGuest ? null : viewer;
+
+      if (canAccess(user, poll, { isMember: Boolean(user) && members.has(user.id) })) {
+        continue;
+      }
+
+      [...socket.rooms]
+        .filter(room => room === `poll-${pollId}` || room.startsWith(`poll-${pollId}-`))
+        .forEach(room => socket.leave(room));
+      socket.emit('pollAccessRevoked', { pollId });
+    }
+  } catch (error) {
+    logger.error('Room access update error', { pollId, error });
+  }
+};
+
+// Re-check every poll a group is on the access list of, e.g. after a
+// member was removed
+export const syncGroupRoomAccess = async (io, groupId, pollIds = null) => {
+  try {
+    const ids = pollIds || (await prisma.pollAccess.findMany({
+      where: { groupId },
+      select: { pollId: true }
+    })).map(entry => entry.pollId);
+
+    for (const pollId of ids) {
+      await syncRoomAccess(io, pollId);
+    }
+  } catch (error) {
+    logger.error('Room access update error', { groupId, error });
+  }
+};
@@ -1,5 +1,53 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import prisma from '../config/database.js';
+import logger, { logContext, runWithContext } from '../config/logger.js';
+import { resolveGuestSession } from '../middleware/auth.js';
+import { findActiveSession } from '../services/sessionService.js';
+import { castVote, fetchResults, fetchHistory } from '../services/voteService.js';
+import { can } from '../policies/pollPolicy.js';
+import { findAccessError, pollAccessSelect } from '../services/pollAccess.js';
+import { computeLeaderboard, findViewableSession } from '../services/quizLeaderboard.js';
+import {
+  armPresenterTimer,
+  controlLiveSession,
+  findByJoinCode,
+  findPresentedSession,
+  getLiveState,
+  joinCurrentPoll,
+  leaveCurrentPoll,
+  liveRoom,
+  presenterReturned,
+  presenterRoom,
+  publishLivePresence
+} from '../services/liveSessions.js';
+import { id, parsePayload } from '../validation/common.js';
+import { ballotBody, historySubscription } from '../validation/voteSchemas.js';
+import { typingPayload } from '../validation/commentSchemas.js';
+import { joinCode, liveSessionControl } from '../validation/liveSessionSchemas.js';
+import { resultsRoom, syncResultsAccess, voterRoom } from './resultsAccess.js';
+import { consume, voterLimitKey } from '../services/rateLimiter.js';
+import { SOCKET_EVENT_LIMITS } from '../config/rateLimit.js';
+
+const RATE_LIMITED = 'Too many requests, please try again later';
+
+// Limit new socket connections per IP
+export const limitSocketConnections = async (socket, next) => {
+  try {
+    const { allowed, retryAfter } = await consume('socketConnect', `ip:${socket.handshake.address}`);
+
+    if (!allowed) {
+      const error = new Error('Too many connections');
+      error.data = { code: 'RATE_LIMITED', retryAfter };
+      return next(error);
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Socket connection rate limit error', error);
+    next();
+  }
+};
 
 // Socket authentication middleware
 export const authenticateSocket = async (socket, next) => {
@@ -11,53 +59,500 @@ export const authenticateSocket = async (socket, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, name: true, email: true }
-    });
 
-    if (!user) {
-      return next(new Error('User not found'));
+    // Guests from a share link get a display identity but no account
+    if (decoded.guestSessionId) {
+      const guest = await resolveGuestSession(decoded);
+
+      if (!guest) {
+        return next(new Error('Invalid guest session'));
+      }
+
+      socket.guest = guest;
+      socket.user = { id: null, name: `Guest ${guest.id.slice(-6)}` };
+      socket.data.viewer = {
+        key: `guest:${guest.id}`,
+        guestId: guest.id,
+        name: socket.user.name,
+        isGuest: true
+      };
+      return next();
     }
 
+    const session = await findActiveSession(decoded);
+
+    if (!session) {
+      return next(new Error('Session expired or revoked'));
+    }
+
+    const { user } = session;
+    socket.sessionId = session.id;
     socket.user = user;
+    socket.data.viewer = {
+      key: user.id,
+      id: user.id,
+      role: user.role,
+      name: user.name,
+      isGuest: false
+    };
     next();
   } catch (error) {
-    console.error('Socket authentication error:', error);
+    logger.error('Socket authentication error', error);
     next(new Error('Authentication error'));
   }
 };
 
+// Run a vote service call for a socket event and acknowledge with the same
+// body the REST endpoint responds with, plus its HTTP status
+const _acknowledge = async (socket, event, callback, action) => {
+  const ack = typeof callback === 'function' ? callback : () => {};
+
+  try {
+    const { status, body } = await action();
+    ack({ status, ...body });
+  } catch (error) {
+    logger.error('Socket event error', { event, error });
+    ack({ status: 500, error: 'Internal server error', requestId: logContext().requestId });
+  }
+};
+
+// Validate an event payload with the REST API's schemas. Returns the parsed
+// payload, or undefined after acknowledging the validation error.
+const _parse = (schema, payload, callback) => {
+  const { data, status, body } = parsePayload(schema, payload);
+
+  if (status && typeof callback === 'function') {
+    callback({ status, ...body });
+  }
+  return data;
+};
+
+// Who a socket's log entries are about
+const _socketFields = (socket) => ({
+  socketId: socket.id,
+  ...(socket.guest ? { guestId: socket.guest.id } : { userId: socket.user.id })
+});
+
+// Handle each event under its own requestId, like an HTTP request, so that
+// everything it logs, including the broadcasts it causes, can be correlated
+const _eventContext = (socket) => ([event], next) => {
+  runWithContext({ requestId: crypto.randomUUID(), event, ..._socketFields(socket) }, next);
+};
+
+// Limit the events a socket may send. Events over the limit are dropped;
+// their acknowledgement (if any) receives a 429 and the socket a rateLimited event.
+const _limitEvents = (socket) => async ([event, ...args], next) => {
+  try {
+    const limitName = SOCKET_EVENT_LIMITS[event] || 'socketEvent';
+    const { allowed, retryAfter } = await consume(limitName, socket.id);
+
+    if (allowed) {
+      return next();
+    }
+
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') {
+      callback({ status: 429, error: RATE_LIMITED, code: 'RATE_LIMITED', retryAfter });
+    }
+    socket.emit('rateLimited', { event, retryAfter });
+  } catch (error) {
+    logger.error('Socket rate limit error', error);
+    next();
+  }
+};
+
+// Tell a poll room how many people are watching. Owners who asked for it
+// also get the participants' names through the owner room.
+const _broadcastPresence = async (io, pollId, options) => {
+  try {
+    const viewers = await getPollViewers(io, pollId, options);
+
+    io.to(`poll-${pollId}`).emit('presence', {
+      pollId,
+      viewerCount: viewers.length
+    });
+
+    io.to(`poll-${pollId}-owner`).emit('participants', {
+      pollId,
+      participants: viewers.map(({ name, isGuest }) => ({ name, isGuest }))
+    });
+  } catch (error) {
+    logger.error('Presence update error', { pollId, error });
+  }
+};
+
 // Handle socket connections
 export const handleConnection = (socket) => {
-  console.log(`User ${socket.user.name} connected: ${socket.id}`);
+  const voter = {
+    ...(socket.guest ? { guest: socket.guest } : { user: socket.user }),
+    ip: socket.handshake.address
+  };
+
+  logger.info('Socket connected', { ..._socketFields(socket), ip: voter.ip });
+
+  socket.use(_eventContext(socket));
+  socket.use(_limitEvents(socket));
+
+  // Per-user and per-session rooms let logout disconnect these sockets.
+  // The voter's room also lets a vote unlock results on all their tabs.
+  socket.join(voterRoom(voter));
+  if (socket.sessionId) {
+    socket.join(`session-${socket.sessionId}`);
+  }
 
   // Join poll room to receive real-time updates
-  socket.on('joinPoll', (pollId) => {
+  socket.on('joinPoll', async (payload, callback) => {
+    const pollId = _parse(id, payload, callback);
+    if (!pollId) {
+      return;
+    }
+
+    // Guests may only follow the poll their share link belongs to
+    if (socket.guest && socket.guest.pollId !== pollId) {
+      if (typeof callback === 'function') {
+        callback({ error: 'Guest session is not valid for this poll' });
+      }
+      return;
+    }
+
+    const ack = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      // Unpublished and restricted polls are only followed by those who may open them
+      const poll = await prisma.poll.findUnique({
+        where: { id: pollId },
+        select: pollAccessSelect
+      });
+
+      if (!poll) {
+        return ack({ error: 'Poll not found' });
+      }
+
+      const accessError = await findAccessError(socket.guest ? null : socket.user, poll);
+      if (accessError) {
+        return ack({ error: accessError.error });
+      }
+    } catch (error) {
+      logger.error('Socket joinPoll error', { pollId, error });
+      return ack({ error: 'Internal server error' });
+    }
+
     socket.join(`poll-${pollId}`);
-    console.log(`User ${socket.user.name} joined poll room: poll-${pollId}`);
+    logger.info('Joined poll room', { pollId });
+
+    // Result counts only reach sockets the poll's results policy allows
+    await syncResultsAccess(socket.nsp, pollId, socket.id);
+
+    ack({ message: 'Joined poll room', pollId });
+
+    _broadcastPresence(socket.nsp, pollId);
   });
 
   // Leave poll room
-  socket.on('leavePoll', (pollId) => {
+  socket.on('leavePoll', (payload) => {
+    const pollId = _parse(id, payload);
+    if (!pollId) {
+      return;
+    }
+
     socket.leave(`poll-${pollId}`);
-    console.log(`User ${socket.user.name} left poll room: poll-${pollId}`);
+    socket.leave(`poll-${pollId}-owner`);
+    socket.leave(resultsRoom(pollId));
+    logger.info('Left poll room', { pollId });
+
+    _broadcastPresence(socket.nsp, pollId);
+  });
+
+  // Poll owners can opt in to the names of connected participants
+  socket.on('watchParticipants', async (payload, callback) => {
+    const ack = typeof callback === 'function' ? callback : () => {};
+    const pollId = _parse(id, payload, callback);
+    if (!pollId) {
+      return;
+    }
+
+    try {
+      const poll = socket.guest ? null : await prisma.poll.findUnique({
+        where: { id: pollId },
+        select: { userId: true, isPublished: true }
+      });
+
+      if (!poll || !can(socket.user, 'manage', poll)) {
+        return ack({ error: 'Only the poll owner can see participants' });
+      }
+
+      socket.join(`poll-${pollId}-owner`);
+      const viewers = await getPollViewers(socket.nsp, pollId);
+
+      ack({
+        pollId,
+        participants: viewers.map(({ name, isGuest }) => ({ name, isGuest }))
+      });
+    } catch (error) {
+      logger.error('Socket watchParticipants error', { pollId, error });
+      ack({ error: 'Internal server error' });
+    }
+  });
+
+  // Follow a quiz session's leaderboard. Acknowledged with the current
+  // leaderboard; leaderboardUpdate events follow after every reveal.
+  socket.on('joinQuizSession', (payload, callback) => {
+    const quizSessionId = _parse(id, payload, callback);
+    if (!quizSessionId) {
+      return;
+    }
+
+    _acknowledge(socket, 'joinQuizSession', callback, async () => {
+      const { status, error } = await findViewableSession(voter, quizSessionId);
+
+      if (error) {
+        return { status, body: { error } };
+      }
+
+      socket.join(`quiz-${quizSessionId}`);
+      return { status: 200, body: { leaderboard: await computeLeaderboard(quizSessionId) } };
+    });
+  });
+
+  socket.on('leaveQuizSession', (payload) => {
+    const quizSessionId = _parse(id, payload);
+    if (quizSessionId) {
+      socket.leave(`quiz-${quizSessionId}`);
+    }
+  });
+
+  // Join a live session by its code. Acknowledged with the session's
+  // state; liveSessionState events follow whenever the presenter moves on,
+  // and the socket is moved into each poll's room as it opens.
+  socket.on('joinLiveSession', (payload, callback) => {
+    const code = _parse(joinCode, payload, callback);
+    if (!code) {
+      return;
+    }
+
+    _acknowledge(socket, 'joinLiveSession', callback, async () => {
+      // Guest sessions only reach the one poll of their share link
+      if (socket.guest) {
+        return { status: 403, body: { error: 'Guests cannot join live sessions' } };
+      }
+
+      const session = await findByJoinCode(code);
+      if (!session) {
+        return { status: 404, body: { error: 'Live session not found' } };
+      }
+
+      const state = await getLiveState(session.id);
+      socket.join(liveRoom(session.id));
+      if (state.currentPoll) {
+        joinCurrentPoll(socket, session.id, state.currentPoll.id);
+        await syncResultsAccess(socket.nsp, state.currentPoll.id, socket.id);
+      }
+
+      const presence = await publishLivePresence(session.id);
+      return { status: 200, body: { liveSessionId: session.id, state: { ...state, ...presence } } };
+    });
+  });
+
+  socket.on('leaveLiveSession', (payload) => {
+    const liveSessionId = _parse(id, payload);
+    if (!liveSessionId || !socket.rooms.has(liveRoom(liveSessionId))) {
+      return;
+    }
+
+    socket.leave(liveRoom(liveSessionId));
+    leaveCurrentPoll(socket, liveSessionId);
+    publishLivePresence(liveSessionId);
+  });
+
+  // Take (or, after a reconnect, take back) the presenter's seat of a live
+  // session. Acknowledged with the presenter's view of its state.
+  socket.on('presentLiveSession', (payload, callback) => {
+    const liveSessionId = _parse(id, payload, callback);
+    if (!liveSessionId) {
+      return;
+    }
+
+    _acknowledge(socket, 'presentLiveSession', callback, async () => {
+      const { session, status, error } = socket.guest
+        ? { status: 403, error: 'Only the presenter can run this live session' }
+        : await findPresentedSession(socket.user, liveSessionId);
+
+      if (error) {
+        return { status, body: { error } };
+      }
+
+      if (session.status === 'ended') {
+        return { status: 409, body: { error: 'Live session has ended' } };
+      }
+
+      presenterReturned(liveSessionId);
+      socket.join(presenterRoom(liveSessionId));
+      if (session.currentPollId) {
+        joinCurrentPoll(socket, liveSessionId, session.currentPollId);
+        await syncResultsAccess(socket.nsp, session.currentPollId, socket.id);
+      }
+
+      const presence = await publishLivePresence(liveSessionId);
+      const state = await getLiveState(liveSessionId, { forPresenter: true, presence });
+      return { status: 200, body: { state } };
+    });
+  });
+
+  // Drive a live session: open the next, previous or a given poll, lock or
+  // unlock voting, reveal the results, or end the session
+  socket.on('controlLiveSession', (payload, callback) => {
+    const control = _parse(liveSessionControl, payload, callback);
+    if (!control) {
+      return;
+    }
+
+    _acknowledge(socket, 'controlLiveSession', callback, () => {
+      if (socket.guest || !socket.rooms.has(presenterRoom(control.liveSessionId))) {
+        return { status: 409, body: { error: 'Send presentLiveSession first' } };
+      }
+
+      return controlLiveSession(socket.user, control, {
+        actorId: socket.user.id,
+        ip: socket.handshake.address
+      });
+    });
+  });
+
+  // Vote without an HTTP round-trip; same payload as POST /api/votes
+  socket.on('vote', (payload, callback) => {
+    const ballot = _parse(ballotBody, payload, callback);
+    if (!ballot) {
+      return;
+    }
+
+    _acknowledge(socket, 'vote', callback, async () => {
+      // Socket votes share the per-voter limit with the REST endpoints
+      const { allowed, retryAfter } = await consume('vote', voterLimitKey(voter));
+
+      if (!allowed) {
+        return { status: 429, body: { error: RATE_LIMITED, code: 'RATE_LIMITED', retryAfter } };
+      }
+
+      return castVote(voter, ballot, socket.nsp);
+    });
+  });
+
+  // Fetch results without an HTTP round-trip
+  socket.on('getResults', (payload, callback) => {
+    const pollId = _parse(id, payload, callback);
+    if (!pollId) {
+      return;
+    }
+
+    _acknowledge(socket, 'getResults', callback, () =>
+      fetchResults(voter, pollId)
+    );
+  });
+
+  // Tell the rest of a poll room that the user is writing a comment (or a
+  // reply to parentId). Clients should expire the indicator after a few
+  // seconds without a fresh event, as isTyping: false may never arrive.
+  socket.on('typing', (payload) => {
+    const typing = _parse(typingPayload, payload);
+    if (!typing || socket.guest) {
+      return;
+    }
+
+    const { pollId, parentId, isTyping } = typing;
+    const room = `poll-${pollId}`;
+    if (!socket.rooms.has(room)) {
+      return;
+    }
+
+    socket.to(room).emit('typing', {
+      pollId,
+      parentId,
+      user: { id: socket.user.id, name: socket.user.name },
+      isTyping
+    });
+  });
+
+  // Update presence in every poll room the socket was in. Runs before the
+  // socket leaves its rooms, so it is excluded from the count explicitly.
+  socket.on('disconnecting', () => {
+    for (const room of socket.rooms) {
+      // Only the main poll room, not its owner or history sub-rooms
+      const match = /^poll-([^-]+)$/.exec(room);
+      if (match) {
+        _broadcastPresence(socket.nsp, match[1], { excludeSocketId: socket.id });
+      }
+
+      // A live session whose presenter left waits for them to come back
+      const live = /^live-([^-]+)(-presenter)?$/.exec(room);
+      if (live) {
+        publishLivePresence(live[1], { excludeSocketId: socket.id }).then(presence => {
+          if (live[2] && presence && !presence.presenterConnected) {
+            armPresenterTimer(live[1]);
+          }
+        });
+      }
+    }
+  });
+
+  // Receive historyUpdate events for one bucket interval of a poll.
+  // Acknowledged with the full history, like GET /api/votes/history/:pollId.
+  socket.on('subscribeHistory', (payload, callback) => {
+    const subscription = _parse(historySubscription, payload, callback);
+    if (!subscription) {
+      return;
+    }
+
+    const { pollId, interval } = subscription;
+    _acknowledge(socket, 'subscribeHistory', callback, async () => {
+      const response = await fetchHistory(voter, pollId, interval);
+
+      if (response.status === 200) {
+        socket.join(`poll-${pollId}-history-${response.body.history.interval}`);
+      }
+      return response;
+    });
+  });
+
+  socket.on('unsubscribeHistory', (payload) => {
+    const subscription = _parse(historySubscription, payload);
+    if (!subscription) {
+      return;
+    }
+
+    const { pollId, interval } = subscription;
+    socket.leave(`poll-${pollId}-history-${interval}`);
   });
 
   // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log(`User ${socket.user.name} disconnected: ${socket.id}`);
+  socket.on('disconnect', (reason) => {
+    logger.info('Socket disconnected', { ..._socketFields(socket), reason });
   });
 
   // Send welcome message
   socket.emit('connected', {
     message: 'Connected to real-time polling server',
-    user: socket.user
+    user: socket.user,
+    ...(socket.guest && { guest: socket.guest })
   });
 };
 
+// List the viewers of a poll room, counting each user once however many
+// tabs they have open. fetchSockets also sees sockets on other server instances.
+export const getPollViewers = async (io, pollId, { excludeSocketId } = {}) => {
+  const sockets = await io.in(`poll-${pollId}`).fetchSockets();
+  const viewers = new Map();
+
+  for (const remoteSocket of sockets) {
+    if (remoteSocket.id !== excludeSocketId && remoteSocket.data.viewer) {
+      viewers.set(remoteSocket.data.viewer.key, remoteSocket.data.viewer);
+    }
+  }
+
+  return [...viewers.values()];
+};
+
 // Get online users in a poll room
-export const getOnlineUsersInPoll = (io, pollId) => {
-  const room = io.sockets.adapter.rooms.get(`poll-${pollId}`);
-  return room ? room.size : 0;
-};
\ No newline at end of file
+export const getOnlineUsersInPoll = async (io, pollId) => {
+  const viewers = await getPollViewers(io, pollId);
+  return viewers.length;
+};
@@ -0,0 +1,120 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import prisma from './support/database.js';
+import { createInProcessAdapter } from '../src/websocket/inProcessAdapter.js';
+import { initPollUpdates, publishBallotChange, stopPollUpdates } from '../src/websocket/pollUpdates.js';
+
+// Two Socket.IO servers sharing an in-process bus stand in for two instances
+// behind a load balancer: a vote on one must reach viewers on the other.
+
+const POLL_ID = 'poll1';
+
+const poll = {
+  id: POLL_ID,
+  question: 'Tabs or spaces?',
+  type: 'single',
+  resultsVisibility: 'always',
+  answerRevealedAt: null,
+  options: [
+    { id: 'tabs', text: 'Tabs', isCorrect: false },
+    { id: 'spaces', text: 'Spaces', isCorrect: false }
+  ]
+};
+const votes = [];
+
+prisma.poll = {
+  findUnique: async ({ where }) => (where.id === POLL_ID ? poll : null)
+};
+prisma.vote = {
+  findMany: async () => votes
+};
+
+const bus = new EventEmitter();
+const instances = [];
+const clients = [];
+
+const _startInstance = async () => {
+  const server = createServer();
+  const io = new Server(server);
+
+  io.adapter(createInProcessAdapter(bus));
+  initPollUpdates(io, { clustered: true });
+
+  // Every client watches the poll; joinPoll's access checks are tested elsewhere
+  io.on('connection', socket => socket.join(`poll-${POLL_ID}`));
+
+  await new Promise(resolve => server.listen(0, resolve));
+  const instance = { io, server, url: `http://localhost:${server.address().port}` };
+  instances.push(instance);
+  return instance;
+};
+
+const _connect = async (instance) => {
+  const client = connect(instance.url, { transports: ['websocket'], forceNew: true });
+  clients.push(client);
+  await new Promise((resolve, reject) => {
+    client.once('connect', resolve);
+    client.once('connect_error', reject);
+  });
+  return client;
+};
+
+const _nextEvent = (client, event) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${event} received`)), 2000);
+  client.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+let first;
+let second;
+
+before(async () => {
+  first = await _startInstance();
+  second = await _startInstance();
+});
+
+after(async () => {
+  stopPollUpdates();
+  clients.forEach(client => client.disconnect());
+  instances.forEach(({ io }) => io.close());
+});
+
+test('a vote on one instance is broadcast to viewers on the other', async () => {
+  const voterClient = await _connect(first);
+  const viewerClient = await _connect(second);
+
+  const voterUpdate = _nextEvent(voterClient, 'pollUpdate');
+  const viewerUpdate = _nextEvent(viewerClient, 'pollUpdate');
+
+  // What castVote does once the ballot is committed
+  votes.push({ userId: 'user1', guestSessionId: null, pollOptionId: 'spaces', rank: null });
+  publishBallotChange(first.io, {
+    pollId: POLL_ID,
+    voterKey: 'user1',
+    ballot: ['spaces'],
+    replacesEarlierVotes: false
+  });
+
+  for (const { pollId, results } of await Promise.all([voterUpdate, viewerUpdate])) {
+    assert.equal(pollId, POLL_ID);
+    assert.equal(results.totalVotes, 1);
+    assert.deepEqual(results.options.map(option => option.voteCount), [0, 1]);
+  }
+});
+
+test('each instance sees the sockets of the other', async () => {
+  const firstSockets = await first.io.in(`poll-${POLL_ID}`).fetchSockets();
+  const secondSockets = await second.io.in(`poll-${POLL_ID}`).fetchSockets();
+
+  assert.equal(firstSockets.length, clients.length);
+  assert.deepEqual(
+    secondSockets.map(socket => socket.id).sort(),
+    firstSockets.map(socket => socket.id).sort()
+  );
+});
@@ -0,0 +1,92 @@
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import prisma from './support/database.js';
+import { createResponse } from './support/response.js';
+import { claimInvitations } from '../src/services/invitations.js';
+import { loginUser } from '../src/controllers/userController.js';
+
+// Invitations turn into memberships once their address is verified
+
+process.env.JWT_SECRET = 'test-secret';
+
+let invitations;
+let groupMembers;
+let pollAccess;
+
+beforeEach(() => {
+  invitations = [
+    { id: 'inv1', email: 'ana@example.com', groupId: 'group1', pollId: null },
+    { id: 'inv2', email: 'ana@example.com', groupId: null, pollId: 'poll1' },
+    { id: 'inv3', email: 'raj@example.com', groupId: 'group1', pollId: null }
+  ];
+  groupMembers = [];
+  pollAccess = [];
+
+  Object.assign(prisma, {
+    invitation: {
+      findMany: async ({ where }) => invitations.filter(invitation => invitation.email === where.email),
+      deleteMany: async ({ where }) => {
+        const before = invitations.length;
+        invitations = invitations.filter(invitation => !where.id.in.includes(invitation.id));
+        return { count: before - invitations.length };
+      }
+    },
+    groupMember: {
+      createMany: async ({ data }) => {
+        groupMembers.push(...data);
+        return { count: data.length };
+      }
+    },
+    pollAccess: {
+      createMany: async ({ data }) => {
+        pollAccess.push(...data);
+        return { count: data.length };
+      }
+    },
+    $transaction: (operations) => Promise.all(operations)
+  });
+});
+
+test('unverified addresses claim nothing', async () => {
+  const claimed = await claimInvitations({ id: 'user1', email: 'ana@example.com', emailVerifiedAt: null });
+
+  assert.equal(claimed, 0);
+  assert.equal(invitations.length, 3);
+  assert.deepEqual(groupMembers, []);
+});
+
+test('a verified address joins the groups and polls it was invited to', async () => {
+  const claimed = await claimInvitations({ id: 'user1', email: 'Ana@Example.com', emailVerifiedAt: new Date() });
+
+  assert.equal(claimed, 2);
+  assert.deepEqual(groupMembers, [{ groupId: 'group1', userId: 'user1' }]);
+  assert.deepEqual(pollAccess, [{ pollId: 'poll1', userId: 'user1' }]);
+  assert.deepEqual(invitations.map(invitation => invitation.id), ['inv3']);
+});
+
+test('logging in claims the invitations of a verified account', async () => {
+  const user = {
+    id: 'user1',
+    name: 'Ana',
+    email: 'ana@example.com',
+    role: 'user',
+    passwordHash: bcrypt.hashSync('password123', 4),
+    emailVerifiedAt: new Date(),
+    suspendedAt: null
+  };
+
+  Object.assign(prisma, {
+    user: { findUnique: async ({ where }) => (where.email === user.email ? user : null) },
+    session: { create: async ({ data }) => ({ id: 'session1', ...data }) },
+    auditLog: { create: async ({ data }) => data }
+  });
+
+  const res = createResponse();
+
+  await loginUser({ body: { email: user.email, password: 'password123' }, ip: '127.0.0.1' }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(groupMembers, [{ groupId: 'group1', userId: 'user1' }]);
+  assert.deepEqual(pollAccess, [{ pollId: 'poll1', userId: 'user1' }]);
+});
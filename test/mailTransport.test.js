@@ -0,0 +1,79 @@
+import { after, afterEach, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { configureMailTransport } from '../src/config/mail.js';
+
+// Mail carries reset and verification links, so production only sends it
+// through a mail service
+
+const env = { ...process.env };
+
+let receiver;
+let url;
+let received = [];
+let nextStatus = 202;
+
+before(async () => {
+  receiver = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = nextStatus;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${receiver.address().port}/send`;
+});
+
+after(() => receiver.close());
+
+afterEach(() => {
+  process.env = { ...env };
+  received = [];
+  nextStatus = 202;
+});
+
+test('console mail is the default outside production', () => {
+  delete process.env.MAIL_TRANSPORT;
+  process.env.NODE_ENV = 'development';
+
+  assert.equal(configureMailTransport().name, 'console');
+});
+
+test('production refuses to start without a mail service', () => {
+  process.env.NODE_ENV = 'production';
+
+  delete process.env.MAIL_TRANSPORT;
+  assert.throws(configureMailTransport, /MAIL_TRANSPORT must be set/);
+
+  for (const name of ['console', 'file']) {
+    process.env.MAIL_TRANSPORT = name;
+    assert.throws(configureMailTransport, /development only/);
+  }
+
+  process.env.MAIL_TRANSPORT = 'http';
+  assert.throws(configureMailTransport, /MAIL_HTTP_URL is required/);
+});
+
+test('http mail is posted as JSON with the bearer token', async () => {
+  Object.assign(process.env, {
+    NODE_ENV: 'production',
+    MAIL_TRANSPORT: 'http',
+    MAIL_HTTP_URL: url,
+    MAIL_HTTP_TOKEN: 'mail-secret'
+  });
+
+  const transport = configureMailTransport();
+  const message = { from: 'a@example.com', to: 'b@example.com', subject: 'Hi', text: 'Hello' };
+
+  await transport.send(message);
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].headers.authorization, 'Bearer mail-secret');
+  assert.deepEqual(received[0].body, message);
+
+  nextStatus = 500;
+  await assert.rejects(transport.send(message), /responded with 500/);
+});
@@ -0,0 +1,135 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from 'socket.io';
+import { usePollStore } from './support/pollStore.js';
+import { waitFor } from './support/webhookDeliveries.js';
+import { createResponse } from './support/response.js';
+import { removeOption, renameOption } from '../src/controllers/pollOptionController.js';
+import { stopPollUpdates } from '../src/websocket/pollUpdates.js';
+
+// Renaming and removing options that have votes, under the poll lock
+
+// Not attached to an HTTP server: broadcasts reach no one
+const io = new Server();
+const owner = { id: 'owner1', role: 'user' };
+
+let store;
+
+beforeEach(() => {
+  store = usePollStore();
+});
+
+after(stopPollUpdates);
+
+const _call = async (handler, { params, body = {}, query = {} }) => {
+  const res = createResponse();
+
+  await handler({ user: owner, params, body, query, app: { get: () => io } }, res);
+  return res;
+};
+
+const _vote = (userId, pollOptionId) => store.votes.push({
+  id: `vote-${userId}-${pollOptionId}`,
+  userId,
+  guestSessionId: null,
+  pollOptionId,
+  rank: null,
+  createdAt: new Date()
+});
+
+test('options with votes are only renamed when the ballots may be discarded', async () => {
+  store.addPoll({ id: 'poll1', voterCount: 1, options: [{ id: 'tabs' }, { id: 'spaces' }] });
+  _vote('user1', 'tabs');
+
+  const refused = await _call(renameOption, { params: { pollId: 'poll1', optionId: 'tabs' }, body: { text: 'Hard tabs' } });
+  assert.equal(refused.statusCode, 409);
+  assert.equal(store.options.get('tabs').text, 'tabs');
+  assert.equal(store.votes.length, 1);
+
+  const renamed = await _call(renameOption, {
+    params: { pollId: 'poll1', optionId: 'tabs' },
+    body: { text: 'Hard tabs', discardVotes: true }
+  });
+  assert.equal(renamed.statusCode, 200);
+  assert.equal(renamed.body.discardedBallots, 1);
+  assert.equal(store.options.get('tabs').text, 'Hard tabs');
+  assert.equal(store.votes.length, 0);
+  assert.equal(store.polls.get('poll1').voterCount, 0);
+});
+
+test('removing an option discards the whole ballot of everyone who chose it', async () => {
+  store.addPoll({
+    id: 'poll1',
+    type: 'multiple',
+    minSelections: 1,
+    maxSelections: 3,
+    voterCount: 2,
+    options: [{ id: 'red' }, { id: 'green' }, { id: 'blue' }]
+  });
+  _vote('user1', 'red');
+  _vote('user1', 'green');
+  _vote('user2', 'blue');
+
+  const res = await _call(removeOption, { params: { pollId: 'poll1', optionId: 'red' }, query: { discardVotes: true } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.discardedBallots, 1);
+  assert.deepEqual(store.votes.map(vote => vote.pollOptionId), ['blue']);
+  assert.equal(store.polls.get('poll1').voterCount, 1);
+  assert.equal(store.polls.get('poll1').maxSelections, 2);
+});
+
+test('a vote committed while a removal waits for the lock is discarded and uncounted', async () => {
+  store.addPoll({ id: 'poll1', options: [{ id: 'tabs' }, { id: 'spaces' }, { id: 'both' }] });
+
+  // The vote's transaction holds the poll while the removal starts
+  const release = await store.holdLock('poll1');
+  const removing = _call(removeOption, { params: { pollId: 'poll1', optionId: 'tabs' }, query: { discardVotes: true } });
+
+  await waitFor(() => store.hasWaiter('poll1'));
+  _vote('user1', 'tabs');
+  store.polls.get('poll1').voterCount += 1;
+  release();
+
+  const res = await removing;
+  assert.equal(res.body.discardedBallots, 1);
+  assert.equal(store.votes.length, 0);
+  assert.equal(store.polls.get('poll1').voterCount, 0);
+});
+
+test('concurrent removals leave at least two options', async () => {
+  store.addPoll({ id: 'poll1', options: [{ id: 'tabs' }, { id: 'spaces' }, { id: 'both' }] });
+
+  const results = await Promise.all(['tabs', 'spaces'].map(optionId => (
+    _call(removeOption, { params: { pollId: 'poll1', optionId } })
+  )));
+
+  assert.deepEqual(results.map(res => res.statusCode).sort(), [200, 400]);
+  assert.equal([...store.options.values()].length, 2);
+});
+
+test('a quiz keeps its correct option', async () => {
+  store.addPoll({
+    id: 'quiz1',
+    type: 'quiz',
+    options: [{ id: 'paris', isCorrect: true }, { id: 'lyon' }, { id: 'nice' }]
+  });
+
+  for (const res of [
+    await _call(removeOption, { params: { pollId: 'quiz1', optionId: 'paris' } }),
+    await _call(renameOption, { params: { pollId: 'quiz1', optionId: 'paris' }, body: { text: 'Marseille' } })
+  ]) {
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, 'The correct option of a quiz cannot be renamed or removed');
+  }
+
+  assert.equal(store.options.get('paris').text, 'paris');
+});
+
+test('options cannot change once the closing time has passed', async () => {
+  store.addPoll({ id: 'poll1', closesAt: new Date(Date.now() - 1000), options: [{ id: 'tabs' }, { id: 'spaces' }] });
+
+  const res = await _call(renameOption, { params: { pollId: 'poll1', optionId: 'tabs' }, body: { text: 'Hard tabs' } });
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'Poll is closed');
+});
@@ -0,0 +1,5 @@
+// Stands in for src/config/database.js in tests. Tests assign the model
+// methods the code under test calls, e.g. prisma.poll = { findUnique }.
+const prisma = {};
+
+export default prisma;
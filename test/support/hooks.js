@@ -0,0 +1,9 @@
+// Module resolution hooks for the tests: the Prisma client is swapped for
+// test/support/database.js, whose models each test fills in itself.
+export const resolve = async (specifier, context, nextResolve) => {
+  if (specifier.endsWith('/config/database.js')) {
+    return nextResolve(new URL('./database.js', import.meta.url).href, context);
+  }
+
+  return nextResolve(specifier, context);
+};
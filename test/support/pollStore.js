@@ -0,0 +1,211 @@
+import prisma from './database.js';
+
+// In-memory polls, options and votes with the queries the vote service and
+// the option controller make, including the poll row lock their
+// transactions take with SELECT ... FOR UPDATE. Tests hold that lock with
+// holdLock() to stand in for a concurrent transaction.
+export const usePollStore = () => {
+  const polls = new Map();
+  const options = new Map();
+  const votes = [];
+  const auditLogs = [];
+  const locks = new Map();
+  const waiters = new Map();
+  let nextVoteId = 1;
+
+  // Wait for the poll's row lock. Resolves to the function releasing it.
+  const _acquire = async (pollId) => {
+    const previous = locks.get(pollId) || Promise.resolve();
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => held);
+    locks.set(pollId, tail);
+
+    waiters.set(pollId, (waiters.get(pollId) || 0) + 1);
+    await previous;
+    waiters.set(pollId, waiters.get(pollId) - 1);
+
+    return () => {
+      if (locks.get(pollId) === tail) {
+        locks.delete(pollId);
+      }
+      release();
+    };
+  };
+
+  const _optionsOf = (pollId) => [...options.values()]
+    .filter(option => option.pollId === pollId)
+    .sort((a, b) => a.position - b.position)
+    .map(option => ({ ...option }));
+
+  const _pollWithOptions = (poll) => poll && { ...poll, options: _optionsOf(poll.id) };
+
+  const _matches = (value, condition) => (
+    condition && typeof condition === 'object' && 'in' in condition
+      ? condition.in.includes(value)
+      : value === condition
+  );
+
+  const _matchesVote = (vote, where) => Object.entries(where).every(([field, condition]) => {
+    if (field === 'OR') {
+      return condition.some(alternative => _matchesVote(vote, alternative));
+    }
+    if (field === 'pollOption') {
+      return options.get(vote.pollOptionId)?.pollId === condition.pollId;
+    }
+    return _matches(vote[field], condition);
+  });
+
+  // Plain values are set; { increment } and { decrement } change numbers
+  const _apply = (record, data) => {
+    Object.entries(data).forEach(([field, value]) => {
+      if (value && typeof value === 'object' && 'increment' in value) {
+        record[field] += value.increment;
+      } else if (value && typeof value === 'object' && 'decrement' in value) {
+        record[field] -= value.decrement;
+      } else {
+        record[field] = value;
+      }
+    });
+    return { ...record };
+  };
+
+  const _models = (inTransaction) => ({
+    poll: {
+      findUnique: async ({ where }) => _pollWithOptions(polls.get(where.id)),
+      // Outside a transaction an UPDATE still waits for the row lock
+      update: async ({ where, data }) => {
+        const release = inTransaction ? () => {} : await _acquire(where.id);
+        try {
+          return _apply(polls.get(where.id), data);
+        } finally {
+          release();
+        }
+      }
+    },
+    pollOption: {
+      findMany: async ({ where }) => where.id.in
+        .map(optionId => options.get(optionId))
+        .filter(Boolean)
+        .map(option => ({ ...option, poll: { ...polls.get(option.pollId) } })),
+      update: async ({ where, data }) => _apply(options.get(where.id), data),
+      delete: async ({ where }) => {
+        const option = options.get(where.id);
+        options.delete(where.id);
+        // Votes cascade with their option
+        for (let index = votes.length - 1; index >= 0; index -= 1) {
+          if (votes[index].pollOptionId === where.id) {
+            votes.splice(index, 1);
+          }
+        }
+        return option;
+      }
+    },
+    vote: {
+      findFirst: async ({ where }) => votes.find(vote => _matchesVote(vote, where)) || null,
+      findMany: async ({ where }) => votes
+        .filter(vote => _matchesVote(vote, where))
+        .sort((a, b) => (a.rank || 0) - (b.rank || 0))
+        .map(vote => ({ ...vote })),
+      create: async ({ data }) => {
+        const vote = {
+          id: `vote${nextVoteId++}`,
+          userId: null,
+          guestSessionId: null,
+          rank: null,
+          createdAt: new Date(),
+          ...data
+        };
+        votes.push(vote);
+        return { ...vote, user: null, pollOption: { ...options.get(vote.pollOptionId) } };
+      },
+      deleteMany: async ({ where }) => {
+        const before = votes.length;
+        for (let index = votes.length - 1; index >= 0; index -= 1) {
+          if (_matchesVote(votes[index], where)) {
+            votes.splice(index, 1);
+          }
+        }
+        return { count: before - votes.length };
+      }
+    },
+    auditLog: {
+      create: async ({ data }) => {
+        auditLogs.push(data);
+        return data;
+      }
+    },
+    webhook: {
+      findMany: async () => []
+    }
+  });
+
+  Object.assign(prisma, _models(false));
+
+  prisma.$transaction = async (work) => {
+    if (Array.isArray(work)) {
+      return Promise.all(work);
+    }
+
+    const held = [];
+    const tx = {
+      ..._models(true),
+      // The only raw query: the poll row lock
+      $queryRaw: async (strings, pollId) => {
+        held.push(await _acquire(pollId));
+        const poll = polls.get(pollId);
+        return poll ? [{ ...poll }] : [];
+      }
+    };
+
+    try {
+      return await work(tx);
+    } finally {
+      held.forEach(release => release());
+    }
+  };
+
+  return {
+    polls,
+    options,
+    votes,
+    auditLogs,
+
+    addPoll: ({ options: pollOptions, ...fields }) => {
+      const poll = {
+        userId: 'owner1',
+        question: 'Tabs or spaces?',
+        type: 'single',
+        minSelections: null,
+        maxSelections: null,
+        isPublished: true,
+        visibility: 'public',
+        allowVoteChange: true,
+        resultsVisibility: 'always',
+        opensAt: null,
+        closesAt: null,
+        isClosed: false,
+        liveLockedAt: null,
+        answerRevealedAt: null,
+        voterCount: 0,
+        ...fields
+      };
+      polls.set(poll.id, poll);
+      pollOptions.forEach((option, position) => options.set(option.id, {
+        text: option.id,
+        isCorrect: false,
+        position,
+        pollId: poll.id,
+        ...option
+      }));
+      return poll;
+    },
+
+    // Take the poll's row lock as another transaction would. Resolves to
+    // the function releasing it.
+    holdLock: (pollId) => _acquire(pollId),
+
+    // Whether a transaction is waiting for the poll's row lock
+    hasWaiter: (pollId) => (waiters.get(pollId) || 0) > 0
+  };
+};
@@ -0,0 +1,14 @@
+// The parts of an Express response the controllers use. The status and
+// JSON body end up in `statusCode` and `body`.
+export const createResponse = () => ({
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(payload) {
+    this.body = payload;
+    return this;
+  }
+});
@@ -0,0 +1,4 @@
+import { register } from 'module';
+
+// Loaded with --import before every test file: tests run without a database
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,63 @@
+import prisma from './database.js';
+
+// In-memory webhookDelivery model with the queries webhookDelivery.js makes.
+// Resolves `include: { webhook }` from the webhooks passed in.
+export const useWebhookDeliveries = (webhooks) => {
+  const deliveries = new Map();
+  let nextId = 1;
+
+  const _isDue = (delivery, where) => (
+    (!where.id || delivery.id === where.id) &&
+    (!where.status || delivery.status === where.status) &&
+    (!where.nextAttemptAt || (delivery.nextAttemptAt && delivery.nextAttemptAt <= where.nextAttemptAt.lte))
+  );
+
+  prisma.webhookDelivery = {
+    create: async ({ data }) => {
+      const delivery = {
+        id: `delivery${nextId++}`,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lastAttemptAt: null,
+        lastStatusCode: null,
+        lastError: null,
+        deliveredAt: null,
+        ...data
+      };
+      deliveries.set(delivery.id, delivery);
+      return { ...delivery };
+    },
+    updateMany: async ({ where, data }) => {
+      const matched = [...deliveries.values()].filter(delivery => _isDue(delivery, where));
+      matched.forEach(delivery => Object.assign(delivery, data));
+      return { count: matched.length };
+    },
+    update: async ({ where, data }) => Object.assign(deliveries.get(where.id), data),
+    findUnique: async ({ where }) => {
+      const delivery = deliveries.get(where.id);
+      return delivery && { ...delivery, webhook: webhooks.get(delivery.webhookId) };
+    },
+    findMany: async ({ where, take }) => [...deliveries.values()]
+      .filter(delivery => _isDue(delivery, where))
+      .slice(0, take)
+  };
+
+  return deliveries;
+};
+
+// Resolve once `check` returns something truthy
+export const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
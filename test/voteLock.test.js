@@ -0,0 +1,106 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from 'socket.io';
+import { usePollStore } from './support/pollStore.js';
+import { waitFor } from './support/webhookDeliveries.js';
+import { castVote, changeBallot, retractBallot } from '../src/services/voteService.js';
+import { stopPollUpdates } from '../src/websocket/pollUpdates.js';
+
+// A ballot is checked against the poll again once it holds the poll's row
+// lock, so a lock or close that commits while it waits is not missed
+
+// Not attached to an HTTP server: broadcasts reach no one
+const io = new Server();
+const voter = { user: { id: 'user1', role: 'user', emailVerifiedAt: new Date() } };
+
+let store;
+
+beforeEach(() => {
+  store = usePollStore();
+  store.addPoll({ id: 'poll1', options: [{ id: 'tabs' }, { id: 'spaces' }] });
+});
+
+after(stopPollUpdates);
+
+test('a presenter lock that commits while a vote waits refuses the vote', async () => {
+  // The presenter's UPDATE holds the row while the vote is validated
+  const release = await store.holdLock('poll1');
+  const voting = castVote(voter, { pollOptionId: 'tabs' }, io);
+
+  await waitFor(() => store.hasWaiter('poll1'));
+  store.polls.get('poll1').liveLockedAt = new Date();
+  release();
+
+  const { status, body } = await voting;
+  assert.equal(status, 403);
+  assert.equal(body.error, 'Voting is locked');
+  assert.equal(store.votes.length, 0);
+  assert.equal(store.polls.get('poll1').voterCount, 0);
+});
+
+test('a vote that holds the lock first is counted, and the lock refuses the next', async () => {
+  const first = await castVote(voter, { pollOptionId: 'tabs' }, io);
+  assert.equal(first.status, 201);
+
+  store.polls.get('poll1').liveLockedAt = new Date();
+
+  const second = await castVote({ user: { id: 'user2', role: 'user' } }, { pollOptionId: 'spaces' }, io);
+  assert.equal(second.status, 403);
+  assert.equal(second.body.error, 'Voting is locked');
+  assert.equal(store.votes.length, 1);
+});
+
+test('a close that commits while a vote waits refuses the vote', async () => {
+  const release = await store.holdLock('poll1');
+  const voting = castVote(voter, { pollOptionId: 'tabs' }, io);
+
+  await waitFor(() => store.hasWaiter('poll1'));
+  Object.assign(store.polls.get('poll1'), { isClosed: true, closedAt: new Date() });
+  release();
+
+  const { status, body } = await voting;
+  assert.equal(status, 403);
+  assert.equal(body.error, 'Poll is closed');
+  assert.equal(store.votes.length, 0);
+});
+
+test('a closing time that passes while a vote waits refuses the vote', async () => {
+  store.polls.get('poll1').closesAt = new Date(Date.now() + 50);
+
+  const release = await store.holdLock('poll1');
+  const voting = castVote(voter, { pollOptionId: 'tabs' }, io);
+
+  await waitFor(() => store.hasWaiter('poll1'));
+  await new Promise(resolve => setTimeout(resolve, 60));
+  release();
+
+  const { status, body } = await voting;
+  assert.equal(status, 403);
+  assert.equal(body.error, 'Poll is closed');
+});
+
+test('votes are refused before the poll opens', async () => {
+  store.polls.get('poll1').opensAt = new Date(Date.now() + 60 * 1000);
+
+  const { status, body } = await castVote(voter, { pollOptionId: 'tabs' }, io);
+  assert.equal(status, 403);
+  assert.equal(body.error, 'Poll is not open for voting yet');
+});
+
+test('a ballot change or withdrawal waiting for the lock is refused once voting is locked', async () => {
+  assert.equal((await castVote(voter, { pollOptionId: 'tabs' }, io)).status, 201);
+
+  const release = await store.holdLock('poll1');
+  const changing = changeBallot(voter, 'poll1', { pollOptionId: 'spaces' }, io);
+  const withdrawing = retractBallot(voter, 'poll1', io);
+
+  await waitFor(() => store.hasWaiter('poll1'));
+  store.polls.get('poll1').liveLockedAt = new Date();
+  release();
+
+  const [changed, withdrawn] = await Promise.all([changing, withdrawing]);
+  assert.equal(changed.status, 403);
+  assert.equal(withdrawn.status, 403);
+  assert.deepEqual(store.votes.map(vote => vote.pollOptionId), ['tabs']);
+  assert.equal(store.polls.get('poll1').voterCount, 1);
+});
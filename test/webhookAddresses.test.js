@@ -0,0 +1,55 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { useWebhookDeliveries, waitFor } from './support/webhookDeliveries.js';
+import { checkWebhookUrl, sendPing } from '../src/services/webhookDelivery.js';
+
+// Without WEBHOOK_ALLOW_PRIVATE_HOSTS, webhooks may only reach public addresses
+
+let receiver;
+let requests = 0;
+
+before(async () => {
+  receiver = createServer((req, res) => {
+    requests += 1;
+    res.end();
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => receiver.close());
+
+test('private, local and metadata URLs are refused when registered', async () => {
+  for (const url of [
+    'http://127.0.0.1:8080/',
+    'http://localhost/hooks',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.0.0.5/',
+    'http://192.168.1.1/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://2130706433/'
+  ]) {
+    assert.equal(await checkWebhookUrl(url), 'Webhook URL resolves to a private or local address', url);
+  }
+
+  assert.equal(await checkWebhookUrl('https://93.184.215.14/hooks'), null);
+});
+
+test('deliveries to private addresses fail without connecting', async () => {
+  const webhook = {
+    id: 'webhook1',
+    pollId: null,
+    url: `http://localhost:${receiver.address().port}/hooks`,
+    secret: 'whsec_test',
+    isActive: true
+  };
+  const deliveries = useWebhookDeliveries(new Map([[webhook.id, webhook]]));
+
+  const { id } = await sendPing(webhook);
+  const delivery = await waitFor(() => deliveries.get(id).attempts === 1 && deliveries.get(id));
+
+  assert.equal(delivery.lastStatusCode, null);
+  assert.equal(delivery.lastError, 'Webhook URL resolves to a private or local address');
+  assert.equal(requests, 0);
+});
@@ -0,0 +1,109 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { useWebhookDeliveries, waitFor } from './support/webhookDeliveries.js';
+
+// The receiver listens on localhost, which deliveries are otherwise refused
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+
+const {
+  initWebhookDelivery,
+  sendPing,
+  signPayload,
+  stopWebhookDelivery
+} = await import('../src/services/webhookDelivery.js');
+
+const RETRY_BASE_MS = 30 * 1000;
+const LEASE_MS = 15 * 1000;
+
+const received = [];
+const responses = [];
+let receiver;
+let webhook;
+let deliveries;
+
+before(async () => {
+  receiver = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(responses.shift() || 200);
+      res.end('ignored');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  webhook = {
+    id: 'webhook1',
+    pollId: null,
+    url: `http://127.0.0.1:${receiver.address().port}/hooks`,
+    secret: 'whsec_test',
+    isActive: true
+  };
+  deliveries = useWebhookDeliveries(new Map([[webhook.id, webhook]]));
+});
+
+after(() => {
+  stopWebhookDelivery();
+  receiver.close();
+});
+
+test('a failed delivery is signed, retried with backoff and then delivered', async () => {
+  responses.push(500);
+
+  const { id } = await sendPing(webhook);
+  const delivery = deliveries.get(id);
+
+  // First attempt: the receiver answers 500
+  await waitFor(() => delivery.attempts === 1);
+  const [first] = received;
+
+  assert.equal(first.headers['x-webhook-event'], 'ping');
+  assert.equal(first.headers['x-webhook-delivery'], id);
+  assert.equal(
+    first.headers['x-webhook-signature'],
+    `sha256=${signPayload(webhook.secret, first.headers['x-webhook-timestamp'], first.body)}`
+  );
+  assert.deepEqual(JSON.parse(first.body), JSON.parse(JSON.stringify(delivery.payload)));
+
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.lastStatusCode, 500);
+  assert.equal(delivery.lastError, 'Receiver responded with HTTP 500');
+
+  // The attempt's lease is replaced by the backoff: base delay plus up to 10% jitter
+  const delay = delivery.nextAttemptAt - delivery.lastAttemptAt;
+  assert.ok(delay >= RETRY_BASE_MS && delay <= RETRY_BASE_MS * 1.1 + 1000, `retry in ${delay}ms`);
+  assert.ok(delay > LEASE_MS);
+
+  // Once the retry is due, the sweep delivers it
+  delivery.nextAttemptAt = new Date(Date.now() - 1);
+  initWebhookDelivery();
+  await waitFor(() => delivery.status === 'succeeded');
+  stopWebhookDelivery();
+
+  assert.equal(received.length, 2);
+  assert.equal(received[1].headers['x-webhook-delivery'], id);
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.lastStatusCode, 200);
+  assert.equal(delivery.lastError, null);
+  assert.ok(delivery.deliveredAt);
+
+  // Released: no lease or retry is left to pick it up again
+  assert.equal(delivery.nextAttemptAt, null);
+});
+
+test('a delivery leased by an attempt in flight is not sent twice', async () => {
+  const { id } = await sendPing(webhook);
+  const delivery = deliveries.get(id);
+  const sent = received.length;
+
+  // A second sweep running while the first attempt holds its lease
+  initWebhookDelivery();
+  await waitFor(() => delivery.status === 'succeeded');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  stopWebhookDelivery();
+
+  assert.equal(received.length, sent + 1);
+  assert.equal(delivery.attempts, 1);
+});